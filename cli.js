@@ -1,62 +1,98 @@
 #!/usr/bin/env node
 
-import { execSync } from 'child_process';
-import { kill } from 'process';
-import { stdin, stdout } from 'process';
+import { stderr, stdin, stdout } from 'process';
+import { fileURLToPath } from 'url';
 import parseArgs from 'mri';
 import colors from 'picocolors';
 import * as readline from 'readline';
+import {
+  DEFAULT_TIMEOUT,
+  DEFAULT_WAIT_TIMEOUT,
+  createKiller,
+  findFreePorts,
+  findProcesses,
+  findProcessesByName,
+  listSockets,
+  normalizeSignal,
+  parsePorts,
+  waitForPortFree,
+} from './index.js';
+import { diagnoseBackends, getBackend } from './lib/backends.js';
+import { EXIT_CODES, exitCodeFor } from './lib/exit-codes.js';
+import { expandPortSets, loadConfig, mergeOptions, normalizeConfig, readConfigFile } from './lib/config.js';
+import { containerKey } from './lib/containers.js';
+import { normalizeFilters } from './lib/filters.js';
+import { historyFile, readHistory, restartProcess } from './lib/history.js';
+import { pickItems } from './lib/picker.js';
+import { describeProcess } from './lib/procinfo.js';
+import { elevationHint, isElevated, rerunWithSudo } from './lib/privileges.js';
+import { runCommand } from './lib/run.js';
+import { createReporter, serializeError } from './lib/reporter.js';
 
 const VERSION = '1.0.0';
-const PLATFORM = process.platform;
+const DEFAULT_WATCH_INTERVAL = 1000;
+const WATCH_POLICIES = ['log', 'prompt', 'kill'];
 
-// Parse ports (single numbers or inclusive ranges like 3000-3010)
-function parsePorts(inputs) {
-  const ports = new Set();
-  const errors = [];
+// Set once a kill could not be recorded, so the warning is not repeated for every process
+let historyFailed = false;
 
-  for (const input of inputs) {
-    if (typeof input !== 'string') {
-      errors.push(`Invalid port input: ${input}`);
-      continue;
-    }
-
-    if (input.includes('-')) {
-      const [startStr, endStr] = input.split('-', 2);
-      const start = parseInt(startStr, 10);
-      const end = parseInt(endStr, 10);
-
-      if (Number.isNaN(start) || Number.isNaN(end) || start < 1 || end > 65535 || start > end) {
-        errors.push(`Error: Invalid port range ${input}`);
-        continue;
-      }
-
-      for (let p = start; p <= end; p++) {
-        ports.add(p);
-      }
-      continue;
-    }
-
-    const port = parseInt(input, 10);
-    if (Number.isNaN(port) || port < 1 || port > 65535) {
-      errors.push(`Error: Invalid port ${input}`);
-      continue;
-    }
-    ports.add(port);
-  }
-
-  return { ports: Array.from(ports), errors };
-}
+// Set once stdin ended without answering a prompt; later prompts cannot be answered either
+let inputClosed = false;
+// Answers by containerKey: a container is asked about once, whichever of its proxies and ports comes first
+const containerAnswers = new Map();
 
 async function main() {
-  const args = parseArgs(process.argv.slice(2), {
+  // Everything after `--` is a command to start once the ports are free
+  const argv = process.argv.slice(2);
+  const separator = argv.indexOf('--');
+  const runAfter = separator === -1 ? null : argv.slice(separator + 1);
+
+  const args = parseArgs(separator === -1 ? argv : argv.slice(0, separator), {
     alias: {
       h: 'help',
       v: 'version',
       f: 'force',
       a: 'all',
+      s: 'signal',
+      t: 'timeout',
+      i: 'interactive',
     },
+    string: [
+      'signal',
+      'host',
+      'state',
+      'exclude',
+      'only',
+      'config',
+      'policy',
+      'name',
+      'cmd',
+      'container-action',
+      'backend',
+      'count',
+      'restart',
+    ],
+    // Flags that never take a value, so the port after `--tcp 3000` stays a port
+    boolean: [
+      'force',
+      'all',
+      'interactive',
+      'json',
+      'ndjson',
+      'strict',
+      'verify-bind',
+      'tree',
+      'dry-run',
+      'allow-protected',
+      'tcp',
+      'udp',
+      'ipv4',
+      'ipv6',
+      'sudo',
+    ],
   });
+  // mri turns an argument that follows a boolean flag into a number
+  args._ = args._.map(String);
 
   if (args.help) {
     console.log(`
@@ -64,13 +100,73 @@ ${colors.bold('portclean')} - Kill processes using specific ports
 
 ${colors.bold('Usage:')}
   portclean [ports...] [options]
+  portclean <ports...> [options] -- <command...>
+  portclean --name <pattern> | --cmd <regex> [ports...] [options]
+  portclean list [ports...]
+  portclean free <ports...> [--count n]
+  portclean watch <ports...> [--interval ms] [--policy log|prompt|kill]
+  portclean history [--restart <id>]
+  portclean doctor
+
+${colors.bold('Commands:')}
+  list          Show what is listening (on the given ports, or on every port) without killing anything
+  free          Print the first port nobody is using (checked by binding it), and why others are busy
+  watch         Keep checking the ports and handle every process that grabs one, until Ctrl+C
+  history       Show the processes portclean killed: when, on which port, with which command
+                line and working directory, and how it went
+  doctor        Check which discovery backends (lsof, ss, /proc, ...) work on this machine
 
 ${colors.bold('Arguments:')}
-  ports         Port number(s) or ranges to target (e.g. 3000 or 3000-3010)
+  ports         Ports, ranges and well-known names (postgres, redis, vite, next, storybook, ...),
+                alone or comma-separated: 3000, 3000-3010,!3005 (! leaves a port out),
+                53/udp (only that protocol), or @name for a named set from the config file
+  -- <command>  Once the ports are confirmed free, start this command (forwarding Ctrl+C and
+                other signals to it) and exit with its exit code
 
 ${colors.bold('Options:')}
   --force, -f   Skip confirmation prompt
   --all, -a     Kill all processes using each port
+  --interactive, -i
+                Pick the processes to kill from one checklist (arrow keys, space, a, enter)
+  --signal, -s  Signal to send first (default: SIGTERM)
+  --timeout, -t Milliseconds to wait before escalating to SIGKILL (default: 5000)
+  --json        Print a single JSON document instead of text
+  --ndjson      Print one JSON event per line instead of text
+  --strict      Exit with an error code when no process is found
+  --wait[=ms]   After killing, wait until the port is actually free (default: 5000)
+  --verify-bind With --wait, also confirm the port can be bound
+  --tree        Also kill the owning parent chain and all descendants, bottom-up
+  --dry-run     Show every process (and tree member) that would be killed, and with which signal,
+                without prompting or sending any signal
+  --name <p>    Kill processes with this name (wildcards * and ?) on whatever ports they hold
+  --cmd <re>    Kill processes whose full command line matches this regular expression
+  --container-action <a>
+                For ports published by a docker/podman container: stop, rm or kill the
+                container (default: stop)
+  --exclude <p> Never kill processes matching a name, PID or /regex/ (repeatable)
+  --only <p>    Only kill processes matching a name, PID or /regex/ (repeatable)
+  --allow-protected
+                Allow killing PID 1, system daemons and portclean's own parent shell
+  --interval <ms>
+                With watch, milliseconds between checks (default: 1000)
+  --policy <p>  With watch, what to do with a new occupant: log, prompt or kill
+                (default: prompt, or kill with --force)
+  --config <f>  Read options from this file instead of the nearest .portcleanrc or package.json
+  --no-config   Ignore config files
+  --tcp, --udp  Only match TCP or UDP sockets (default: both)
+  --ipv4, --ipv6
+                Only match IPv4 or IPv6 sockets (default: both)
+  --host <addr> Only match sockets bound to this address (or to all interfaces)
+  --state <s>   Socket state to match: listen, established or any (default: listen)
+  --count <n>   With free, how many free ports to print (default: 1)
+  --restart <id>
+                With history, start a killed process again from its recorded command line
+                and working directory
+  --no-history  Do not record kills in the history file
+  --backend <b> Find sockets only with this backend: lsof, ss, proc, netstat, fuser, windows-netstat
+                or powershell (default: try this platform's backends in turn)
+  --sudo        Re-run through sudo, to find and kill other users' processes (on Windows, run
+                portclean from an elevated prompt instead)
   --help, -h    Show this help message
   --version, -v Show version number
 
@@ -79,8 +175,41 @@ ${colors.bold('Examples:')}
   portclean 3000 8080 9000          Kill processes on multiple ports
   portclean 3000-3010               Kill processes on ports 3000 through 3010
   portclean 3000 --force            Kill port 3000 without confirmation
+  portclean 3000 -f -- npm start    Free port 3000, then start the dev server on it
   portclean 3000 --all              Kill all processes using port 3000
+  portclean 3000-3010 -i            Choose what to kill on ports 3000 through 3010 from a checklist
   portclean 3000 8080 --force --all Kill all processes on both ports without confirmation
+  portclean 3000 --signal SIGINT    Send SIGINT, then SIGKILL if still running
+  portclean 3000 --timeout 10000    Give processes 10 seconds to shut down
+  portclean 3000 --signal SIGKILL   Kill immediately without a grace period
+  portclean list                    Show every listening port and its process
+  portclean list 3000-3010          Show what is listening on ports 3000 through 3010
+  portclean free 3000-3100          Print the first free port between 3000 and 3100
+  portclean free 9000-9999 --count 3 --host 127.0.0.1
+                                    Print three ports that can be bound on localhost
+  portclean 3000 --force --json     Kill port 3000 and print the result as JSON
+  portclean 3000 --force --strict   Fail (exit 2) if nothing was listening on port 3000
+  portclean 3000 -f --wait=10000    Kill and wait up to 10 seconds until port 3000 is free
+  portclean 3000 --tree             Kill the dev server on port 3000 with its wrappers and workers
+  portclean 3000-3010 --tree --dry-run
+                                    Preview everything that would be killed on ports 3000 through 3010
+  portclean 3000 --exclude postgres Kill whatever is on port 3000 unless it is postgres
+  portclean 3000-3010 --only '/vite|next/'
+                                    Only kill Vite or Next.js dev servers on ports 3000 through 3010
+  portclean watch 3000 5173 --policy kill
+                                    Keep ports 3000 and 5173 free until Ctrl+C
+  portclean --name node              Find every node process holding a port and ask before killing it
+  portclean --cmd 'vite.*--port'    Kill Vite dev servers started with an explicit port
+  portclean 8080 --container-action rm
+                                    Remove the container that publishes port 8080
+  portclean @dev --force            Kill every port in the "dev" set from .portcleanrc
+  portclean 5353 --udp              Kill only the UDP listener on port 5353
+  portclean 3000 --host 127.0.0.1   Kill only what listens on localhost (or on all interfaces)
+  portclean list --state any        Show every socket, including established connections
+  portclean doctor                  Show which discovery backends work here, and why the others don't
+  portclean history --restart 12    Start the process killed in history entry 12 again
+  portclean 3000 --backend proc     Find the process on port 3000 through /proc only
+  portclean 80 --sudo               Kill the root-owned server on port 80
 `);
     process.exit(0);
   }
@@ -90,264 +219,878 @@ ${colors.bold('Examples:')}
     process.exit(0);
   }
 
-  const rawPorts = args._;
-
-  if (rawPorts.length === 0) {
-    console.error(colors.red('Error: No ports specified'));
+  if (args.json && args.ndjson) {
+    console.error(colors.red('Error: --json and --ndjson cannot be used together'));
     process.exit(1);
   }
 
-  const { ports, errors: portErrors } = parsePorts(rawPorts);
-  portErrors.forEach((msg) => console.error(colors.red(msg)));
+  const format = args.json ? 'json' : args.ndjson ? 'ndjson' : 'human';
+  const command = ['list', 'free', 'watch', 'history', 'doctor'].includes(args._[0]) ? args._[0] : 'kill';
+
+  // The root copy would start the command after -- as root too
+  if (args.sudo && runAfter) {
+    exitWithInputError(createReporter(format, command), [
+      'Error: --sudo cannot be used with a command after --, which would run as root; ' +
+        'run the command once portclean --sudo has freed the ports',
+    ]);
+  }
+
+  // Hand the whole run to a root copy of portclean before anything is printed
+  if (args.sudo && !isElevated()) {
+    runWithSudo(format, command);
+  }
+
+  const reporter = createReporter(format, command);
+
+  if (runAfter && command !== 'kill') {
+    exitWithInputError(reporter, [`Error: A command after -- can only follow ports to kill, not ${command}`]);
+  }
+  if (runAfter && runAfter.length === 0) {
+    exitWithInputError(reporter, ['Error: Expected a command after --']);
+  }
+
+  if (command === 'doctor') {
+    await runDoctor(reporter);
+  }
+
+  if (command === 'history') {
+    await showHistory(reporter, args.restart);
+  }
+
+  const { _: positional, config: configPath, ...cliOptions } = args;
+  // The command must not race the processes it replaces, so always wait until the ports are free
+  if (runAfter && cliOptions.wait === undefined) {
+    cliOptions.wait = true;
+  }
+
+  let config;
+  try {
+    if (configPath === false) {
+      config = normalizeConfig({}, null);
+    } else if (configPath) {
+      config = readConfigFile(configPath) || normalizeConfig({}, configPath);
+    } else {
+      config = loadConfig();
+    }
+  } catch (error) {
+    exitWithInputError(reporter, [`Error: ${error.message}`]);
+  }
+
+  // Command-line flags win over config defaults; `exclude` and `only` lists are combined
+  const options = mergeOptions(config.defaults, cliOptions);
+
+  let run;
+  try {
+    run = resolveRunOptions(options);
+  } catch (error) {
+    exitWithInputError(reporter, [`Error: ${error.message}`]);
+  }
+
+  const rawPorts = command === 'kill' ? positional : positional.slice(1);
+  const expanded = expandPortSets(rawPorts, config.sets);
+  const parsed = parsePorts(expanded.inputs, { aliases: config.aliases });
+  const portErrors = [...expanded.errors, ...parsed.errors];
+
+  if (command === 'list') {
+    await listPorts(rawPorts.length > 0 ? parsed : null, portErrors, reporter, { ...options, ...run });
+  }
+
+  if (command === 'free') {
+    await printFreePorts(rawPorts.length > 0 ? parsed : null, portErrors, reporter, { ...options, ...run });
+  }
+
+  if (command === 'kill' && (options.name !== undefined || options.cmd !== undefined)) {
+    const byNameArgs = { ...options, ...run, runAfter };
+    await killByName(rawPorts.length > 0 ? parsed : null, portErrors, reporter, byNameArgs);
+  }
+
+  if (rawPorts.length === 0 || (expanded.inputs.length === 0 && portErrors.length === 0)) {
+    exitWithInputError(reporter, ['Error: No ports specified']);
+  }
+
+  const { ports } = parsed;
 
   if (ports.length === 0) {
-    process.exit(1);
+    exitWithInputError(reporter, portErrors.length > 0 ? portErrors : ['Error: Every port was excluded']);
   }
+  reportInputErrors(reporter, portErrors);
 
-  for (const port of ports) {
-    await handlePort(port, args);
+  // Per-port options from the config sit between the defaults and the command line
+  const portRuns = new Map();
+  for (const [port, overrides] of Object.entries(config.ports)) {
+    if (!ports.includes(Number(port))) {
+      continue;
+    }
+    const portOptions = mergeOptions(config.defaults, overrides, cliOptions);
+    try {
+      portRuns.set(Number(port), { ...portOptions, ...resolveRunOptions(portOptions) });
+    } catch (error) {
+      exitWithInputError(reporter, [`Error: ${error.message} (options for port ${port} in ${config.source})`]);
+    }
+  }
+
+  // A port given as 53/udp only matches that protocol, whatever --tcp/--udp say
+  const runFor = (port) => {
+    const portRun = portRuns.get(port) || { ...options, ...run };
+    const protocol = parsed.protocols[port];
+    return protocol ? { ...portRun, filters: { ...portRun.filters, protocol } } : portRun;
+  };
+
+  if (command === 'watch') {
+    await watchPorts(ports, runFor, options, reporter, portErrors);
+  }
+
+  // The checklist needs a keyboard; without a TTY --interactive falls back to the usual prompts
+  if (options.interactive && stdin.isTTY && !options.force && !options['dry-run']) {
+    await pickAndKill(ports, runFor, reporter);
+  } else {
+    const found = await discoverPorts(ports, runFor);
+    for (const port of ports) {
+      await handlePort(port, runFor(port), reporter, found.get(port));
+    }
   }
 
-  process.exit(0);
+  hintElevation(reporter);
+  const exitCode = exitCodeFor(reporter.summary, {
+    strict: options.strict,
+    invalidInput: portErrors.length > 0,
+  });
+  await finishRun(reporter, exitCode, runAfter, options['dry-run']);
 }
 
 /**
- * Handle killing processes on a specific port
+ * End a kill run. With a command after `--`, start it once every port is free and exit with its
+ * exit code; if a port may still be taken (a kill failed or was declined, or a process was left
+ * alone) the command is not started and the run fails.
  */
-async function handlePort(port, args) {
-  if (isNaN(port) || port < 1 || port > 65535) {
-    console.error(colors.red(`Error: Invalid port ${port}`));
-    return;
+async function finishRun(reporter, exitCode, runAfter, dryRun) {
+  if (!runAfter) {
+    reporter.end({ exitCode });
+    process.exit(exitCode);
   }
 
+  const label = runAfter.join(' ');
+  if (dryRun) {
+    reporter.emit({ type: 'warning', message: `Dry run: ${label} was not started` });
+    reporter.end({ exitCode });
+    process.exit(exitCode);
+  }
+  if (exitCode !== EXIT_CODES.OK || reporter.summary.skipped > 0) {
+    const failed = exitCode === EXIT_CODES.OK ? EXIT_CODES.PARTIAL_FAILURE : exitCode;
+    reporter.emit({ type: 'warning', message: `Not starting ${label}: not every port was freed` });
+    reporter.end({ exitCode: failed });
+    process.exit(failed);
+  }
+
+  reporter.end({ exitCode });
   try {
-    const processes = await getProcessesOnPort(port);
+    process.exit(await runCommand(runAfter));
+  } catch (error) {
+    console.error(colors.red(`Error: Could not start ${runAfter[0]}: ${error.message}`));
+    process.exit(EXIT_CODES.COMMAND_NOT_STARTED);
+  }
+}
 
-    if (processes.length === 0) {
-      console.log(colors.yellow(`No process found on port ${port}`));
-      return;
+/**
+ * Validate merged options and derive what handlePort needs: signal, timeout, wait time, socket
+ * filters, the discovery backend and the killer (safety checks, trees and kills). Throws with a
+ * user-facing message on invalid input.
+ */
+function resolveRunOptions(options) {
+  const signal = normalizeSignal(options.signal);
+
+  const timeout = options.timeout === undefined ? DEFAULT_TIMEOUT : Number(options.timeout);
+  if (typeof options.timeout === 'boolean' || !Number.isFinite(timeout) || timeout < 0) {
+    throw new Error(`Invalid timeout ${options.timeout}`);
+  }
+
+  let wait = false;
+  if (options.wait !== undefined && options.wait !== false) {
+    wait = options.wait === true ? DEFAULT_WAIT_TIMEOUT : Number(options.wait);
+    if (!Number.isFinite(wait) || wait < 0) {
+      throw new Error(`Invalid wait time ${options.wait}`);
     }
+  }
 
-    console.log(colors.cyan(`\nProcesses on port ${port}:`));
-    processes.forEach((proc, idx) => {
-      console.log(`  ${idx + 1}. PID ${proc.pid} (${proc.command})`);
-    });
+  const requested = options['container-action'];
+  const containerAction = requested === undefined ? 'stop' : String(requested);
+  const killer = createKiller({
+    signal,
+    timeout,
+    containerAction,
+    exclude: options.exclude,
+    only: options.only,
+    allowProtected: options['allow-protected'],
+    history: options.history !== false,
+  });
 
-    if (args.force || args.all) {
-      // If --force or --all, show single confirmation per port (or none with --force)
-      if (args.force) {
-        for (const proc of processes) {
-          await killProcess(proc.pid, proc.command);
-        }
-      } else if (args.all) {
-        const confirmed = await prompt(
-          `Kill all ${processes.length} process(es) on port ${port}? (Y/n) `
-        );
-        if (confirmed) {
-          for (const proc of processes) {
-            await killProcess(proc.pid, proc.command);
-          }
-        }
-      }
-    } else {
-      for (const proc of processes) {
-        const confirmed = await prompt(
-          `Process ${proc.pid} (${proc.command}) is using port ${port}. Kill it? (Y/n) `
-        );
-        if (confirmed) {
-          await killProcess(proc.pid, proc.command);
-        }
-      }
+  const backend = options.backend === undefined ? undefined : getBackend(options.backend).name;
+  const filters = socketFilters(options);
+
+  return { signal, timeout, wait, filters, killer, containerAction, backend };
+}
+
+/**
+ * Turn parsed ports back into API port arguments, keeping the protocol of `53/udp`-style entries
+ */
+function portSpecs(parsed) {
+  return parsed.ports.map((port) => (parsed.protocols[port] ? `${port}/${parsed.protocols[port]}` : port));
+}
+
+/**
+ * Build socket filters from --tcp/--udp, --ipv4/--ipv6, --host and --state.
+ * Passing both flags of a pair is the same as passing neither.
+ */
+function socketFilters(args) {
+  const options = { host: args.host, state: args.state };
+  if (Boolean(args.tcp) !== Boolean(args.udp)) {
+    options.protocol = args.tcp ? 'tcp' : 'udp';
+  }
+  if (Boolean(args.ipv4) !== Boolean(args.ipv6)) {
+    options.family = args.ipv4 ? 4 : 6;
+  }
+  return normalizeFilters(options);
+}
+
+/**
+ * Options for findProcesses from the run options of a port
+ */
+function discoveryOptions(args) {
+  return { ...args.filters, tree: args.tree, backend: args.backend };
+}
+
+/**
+ * --sudo: re-run this command line as root through sudo and exit with its exit code.
+ * Windows has no sudo, so there the user is told to use an elevated prompt.
+ */
+function runWithSudo(format, command) {
+  let message;
+  if (process.platform === 'win32') {
+    message = `Error: --sudo is not available on Windows; ${elevationHint()}`;
+  } else {
+    try {
+      process.exit(rerunWithSudo(fileURLToPath(import.meta.url), process.argv.slice(2)));
+    } catch (error) {
+      message = `Error: Could not re-run with sudo: ${error.message}`;
     }
+  }
+
+  const reporter = createReporter(format, command);
+  reporter.emit({ type: 'error', code: 'EPERM', message });
+  reporter.end({ exitCode: EXIT_CODES.PERMISSION_DENIED });
+  process.exit(EXIT_CODES.PERMISSION_DENIED);
+}
+
+/**
+ * Say how to get more permissions when a kill was refused or a port is held by a process this
+ * user may not inspect, unless portclean already runs as root (or elevated on Windows)
+ */
+function hintElevation(reporter) {
+  const { denied, hidden } = reporter.summary;
+  if ((denied > 0 || hidden > 0) && !isElevated()) {
+    const message = `Some processes belong to other users; ${elevationHint()} to see and kill them`;
+    reporter.emit({ type: 'warning', message });
+  }
+}
+
+/**
+ * Report invalid command-line input
+ */
+function reportInputErrors(reporter, messages) {
+  messages.forEach((message) => reporter.emit({ type: 'error', code: 'EINVALID', message }));
+}
+
+/**
+ * Report invalid command-line input and exit
+ */
+function exitWithInputError(reporter, messages) {
+  reportInputErrors(reporter, messages);
+  reporter.end({ exitCode: EXIT_CODES.INVALID_INPUT });
+  process.exit(EXIT_CODES.INVALID_INPUT);
+}
+
+/**
+ * Report listening sockets for the `list` command (on every port when `parsed` is null)
+ */
+async function listPorts(parsed, errors, reporter, args) {
+  if (parsed && parsed.ports.length === 0) {
+    exitWithInputError(reporter, errors.length > 0 ? errors : ['Error: No ports specified']);
+  }
+  reportInputErrors(reporter, errors);
+
+  const ports = parsed ? portSpecs(parsed) : undefined;
+  let result;
+  try {
+    result = await listSockets(ports, { ...args.filters, backend: args.backend });
   } catch (error) {
-    console.error(colors.red(`Failed to handle port ${port}: ${error.message}`));
+    reporter.emit({ type: 'error', ...serializeError(error, 'EDISCOVERY') });
+    result = { sockets: [], warnings: [] };
   }
+  const { sockets, warnings } = result;
+  warnings.forEach((message) => reporter.emit({ type: 'warning', message }));
+  sockets.forEach((socket) => reporter.emit({ type: 'socket', ...socket }));
+
+  const exitCode = exitCodeFor(
+    { ...reporter.summary, notFound: sockets.length === 0 ? 1 : 0 },
+    { strict: args.strict, invalidInput: errors.length > 0 }
+  );
+  reporter.end({ exitCode });
+  process.exit(exitCode);
 }
 
 /**
- * Get processes using a specific port
+ * Report the first free ports among `parsed` and why the ones before them are busy (the `free`
+ * command). Fails with NOT_FOUND when fewer ports than requested are free.
  */
-async function getProcessesOnPort(port) {
-  if (PLATFORM === 'darwin' || PLATFORM === 'linux') {
-    return await getProcessesPosix(port);
-  } else if (PLATFORM === 'win32') {
-    return await getProcessesWindows(port);
-  } else {
-    throw new Error(`Unsupported platform: ${PLATFORM}`);
+async function printFreePorts(parsed, errors, reporter, args) {
+  if (!parsed || parsed.ports.length === 0) {
+    exitWithInputError(reporter, errors.length > 0 ? errors : ['Error: No ports specified']);
+  }
+  reportInputErrors(reporter, errors);
+
+  const count = args.count === undefined ? 1 : Number(args.count);
+  let result;
+  try {
+    result = await findFreePorts(parsed.ports, { count, host: args.filters.host, backend: args.backend });
+  } catch (error) {
+    if (error.code === 'EINVALID') {
+      exitWithInputError(reporter, [`Error: ${error.message}`]);
+    }
+    reporter.emit({ type: 'error', ...serializeError(error) });
+    result = { free: [], busy: [] };
+  }
+
+  result.busy.forEach((entry) => reporter.emit({ type: 'busy', ...entry }));
+  result.free.forEach((port) => reporter.emit({ type: 'free', port }));
+  if (result.free.length < count) {
+    const message = `Found ${result.free.length} of ${count} free port(s) among ${parsed.ports.length} checked`;
+    reporter.emit({ type: 'warning', message });
   }
+
+  const exitCode = exitCodeFor(
+    { ...reporter.summary, notFound: result.free.length < count ? 1 : 0 },
+    { strict: true, invalidInput: errors.length > 0 }
+  );
+  reporter.end({ exitCode });
+  process.exit(exitCode);
 }
 
 /**
- * Get processes on macOS/Linux using lsof or netstat
+ * Check every discovery backend and report which ones work (the `doctor` command).
+ * Fails when no backend works, since then nothing can be found or killed.
  */
-async function getProcessesPosix(port) {
-  // Suppress stderr from system commands to avoid leaking raw tool logs
-  const execOpts = { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] };
+async function runDoctor(reporter) {
+  const backends = await diagnoseBackends();
+  backends.forEach((backend) => reporter.emit({ type: 'backend', platform: process.platform, ...backend }));
+
+  const exitCode = backends.some((backend) => backend.status === 'ok')
+    ? EXIT_CODES.OK
+    : EXIT_CODES.PARTIAL_FAILURE;
+  reporter.end({ exitCode });
+  process.exit(exitCode);
+}
 
+/**
+ * The history command: list the recorded kills, or start the process of entry `restart` again.
+ * Exits with 127, as for a command after `--`, when the process could not be started.
+ */
+async function showHistory(reporter, restart) {
+  let entries = [];
   try {
-    try {
-      const output = execSync(`lsof -i :${port} -n -P`, execOpts);
-      return parseLsofOutput(output);
-    } catch {
-      if (PLATFORM === 'linux') {
-        const output = execSync('netstat -anp', execOpts);
-        return parseNetstatOutput(output, port);
+    entries = readHistory();
+  } catch (error) {
+    reporter.emit({ type: 'error', ...serializeError(error, 'EHISTORY') });
+  }
+
+  if (restart === undefined) {
+    entries.forEach((entry) => reporter.emit({ type: 'record', ...entry }));
+    const exitCode = exitCodeFor(reporter.summary);
+    reporter.end({ exitCode });
+    process.exit(exitCode);
+  }
+
+  const id = Number(restart);
+  if (restart === '' || !Number.isInteger(id)) {
+    exitWithInputError(reporter, [`Error: Invalid history entry ${restart} (expected an id from the history)`]);
+  }
+  const entry = entries.find((candidate) => candidate.id === id);
+  if (!entry) {
+    exitWithInputError(reporter, [`Error: No history entry ${id} in ${historyFile()}`]);
+  }
+
+  const restarted = { type: 'restart', id, command: entry.command, argv: entry.argv, cwd: entry.cwd };
+  try {
+    reporter.emit({ ...restarted, ok: true, pid: await restartProcess(entry) });
+  } catch (error) {
+    reporter.emit({ ...restarted, ok: false, pid: null, error: serializeError(error, 'ESPAWN') });
+  }
+
+  const exitCode = reporter.summary.failed > 0 ? EXIT_CODES.COMMAND_NOT_STARTED : EXIT_CODES.OK;
+  reporter.end({ exitCode });
+  process.exit(exitCode);
+}
+
+/**
+ * Poll ports until SIGINT/SIGTERM and handle every new occupant according to the policy:
+ * `log` only reports it, `prompt` asks as handlePort does, `kill` kills without asking
+ */
+async function watchPorts(ports, runFor, options, reporter, portErrors) {
+  const interval = options.interval === undefined ? DEFAULT_WATCH_INTERVAL : Number(options.interval);
+  if (typeof options.interval === 'boolean' || !Number.isFinite(interval) || interval < 10) {
+    exitWithInputError(reporter, [`Error: Invalid interval ${options.interval} (minimum 10ms)`]);
+  }
+
+  const policy = options.policy === undefined ? (options.force ? 'kill' : 'prompt') : String(options.policy);
+  if (!WATCH_POLICIES.includes(policy)) {
+    exitWithInputError(reporter, [`Error: Invalid policy ${options.policy} (expected log, prompt or kill)`]);
+  }
+
+  let stopping = false;
+  let wake = () => {};
+  const stop = () => {
+    stopping = true;
+    wake();
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+
+  const started = Date.now();
+  const known = new Map(ports.map((port) => [port, new Set()]));
+  let polls = 0;
+  reporter.emit({ type: 'watch', ports, interval, policy });
+
+  while (!stopping) {
+    polls++;
+    // One snapshot per check, however many ports are watched
+    const discovered = await discoverPorts(ports, runFor);
+    for (const port of ports) {
+      if (stopping) {
+        break;
+      }
+      const args = runFor(port);
+
+      const found = discovered.get(port);
+      if (found instanceof Error) {
+        reporter.emit({ type: 'error', port, ...serializeError(found, 'EDISCOVERY') });
+        continue;
+      }
+
+      // Only processes that were not on the port at the previous check are new occupants
+      const fresh = found.processes.filter((proc) => !known.get(port).has(proc.pid));
+      known.set(port, new Set(found.processes.map((proc) => proc.pid)));
+      if (fresh.length === 0) {
+        continue;
+      }
+
+      reporter.emit({ type: 'port', port, processes: fresh, warnings: found.warnings, hidden: [] });
+      if (policy !== 'log') {
+        await handleProcesses(port, fresh, { ...args, force: policy === 'kill' }, reporter);
       }
-      return [];
     }
-  } catch {
-    return [];
+
+    if (!stopping) {
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, interval);
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+    }
   }
+
+  hintElevation(reporter);
+  const exitCode = exitCodeFor(reporter.summary, { invalidInput: portErrors.length > 0 });
+  reporter.end({ exitCode, polls, duration: Date.now() - started });
+  process.exit(exitCode);
 }
 
 /**
- * Parse lsof output
+ * --name/--cmd: find matching processes and the ports they hold (optionally only among `parsed`
+ * ports), then handle each process once, under its lowest port, like handlePort does
  */
-function parseLsofOutput(output) {
-  const lines = output.trim().split('\n').slice(1);
-  const processes = [];
-
-  for (const line of lines) {
-    const parts = line.split(/\s+/);
-    if (parts.length >= 2) {
-      const pid = parseInt(parts[1], 10);
-      const command = parts[0];
-
-      if (!isNaN(pid) && pid > 0) {
-        if (!processes.find((p) => p.pid === pid)) {
-          processes.push({ pid, command });
-        }
-      }
+async function killByName(parsed, errors, reporter, args) {
+  if (parsed && parsed.ports.length === 0) {
+    exitWithInputError(reporter, errors.length > 0 ? errors : ['Error: No ports specified']);
+  }
+  reportInputErrors(reporter, errors);
+
+  let matches = [];
+  let failed = false;
+  try {
+    matches = await findProcessesByName({
+      ...args.filters,
+      name: args.name,
+      cmd: args.cmd,
+      ports: parsed ? portSpecs(parsed) : undefined,
+      tree: args.tree,
+      backend: args.backend,
+    });
+  } catch (error) {
+    if (error.code === 'EINVALID') {
+      exitWithInputError(reporter, [`Error: ${error.message}`]);
     }
+    reporter.emit({ type: 'error', ...serializeError(error, 'EDISCOVERY') });
+    failed = true;
+  }
+
+  const byPort = new Map();
+  for (const proc of matches) {
+    const [home] = proc.ports;
+    byPort.set(home, [...(byPort.get(home) || []), proc]);
+  }
+
+  if (matches.length === 0 && !failed) {
+    const pattern = [args.name && `--name ${args.name}`, args.cmd && `--cmd ${args.cmd}`]
+      .filter(Boolean)
+      .join(' ');
+    reporter.emit({ type: 'warning', message: `No process matching ${pattern} holds a port` });
   }
 
-  return processes;
+  for (const [port, processes] of byPort) {
+    reporter.emit({ type: 'port', port, processes, warnings: [], hidden: [] });
+    await handleProcesses(port, processes, args, reporter);
+  }
+
+  hintElevation(reporter);
+  const exitCode = exitCodeFor(
+    { ...reporter.summary, notFound: matches.length === 0 ? 1 : 0 },
+    { strict: args.strict, invalidInput: errors.length > 0 }
+  );
+  await finishRun(reporter, exitCode, args.runAfter, args['dry-run']);
 }
 
 /**
- * Parse netstat output for a specific port
+ * --interactive: discover every port first, let the user tick processes in a single
+ * checklist, then handle each port with that selection
  */
-function parseNetstatOutput(output, port) {
-  const lines = output.trim().split('\n').slice(1);
-  const processes = [];
-
-  for (const line of lines) {
-    const parts = line.split(/\s+/).filter((p) => p);
-    if (parts.length >= 7) {
-      const state = parts[5];
-      const pidField = parts[6];
-      const match = pidField.match(/^(\d+)\//);
-
-      if (match && state === 'LISTEN') {
-        const pid = parseInt(match[1], 10);
-        const addr = parts[3];
-        const addrParts = addr.split(':');
-        const addrPort = addrParts[addrParts.length - 1];
-
-        if (parseInt(addrPort, 10) === port && !isNaN(pid) && pid > 0) {
-          let command = 'unknown';
-          try {
-            const psOutput = execSync(`ps -p ${pid} -o comm=`, { encoding: 'utf8' });
-            command = psOutput.trim();
-          } catch {
-            // ignore
-          }
-
-          if (!processes.find((p) => p.pid === pid)) {
-            processes.push({ pid, command });
-          }
-        }
-      }
+async function pickAndKill(ports, runFor, reporter) {
+  const discovered = await discoverPorts(ports, runFor);
+  const found = [];
+  for (const port of ports) {
+    const entry = discovered.get(port);
+    if (entry instanceof Error) {
+      reporter.emit({ type: 'error', port, ...serializeError(entry, 'EDISCOVERY') });
+      continue;
+    }
+    const { processes, warnings, hidden } = entry;
+    reporter.emit({ type: 'port', port, processes, warnings, hidden });
+    found.push({ port, args: runFor(port), processes });
+  }
+
+  const items = [];
+  for (const { port, args, processes } of found) {
+    for (const proc of args.killer.select(processes).candidates) {
+      const extra = args.killer.expand([proc]).targets.length - 1;
+      const treeNote = extra > 0 ? colors.dim(` +${extra} in tree`) : '';
+      const details = describeProcess(proc) ? colors.dim(`  ${describeProcess(proc)}`) : '';
+      const label = `port ${port}  PID ${proc.pid}  ${proc.command}${details}${treeNote}`;
+      items.push({ port, proc, label });
     }
   }
 
-  return processes;
+  let picked = [];
+  if (items.length > 0) {
+    const output = reporter.machine ? stderr : stdout;
+    const title = `Select the processes to kill (${items.length} found):`;
+    picked = await pickItems(title, items.map((item) => item.label), { input: stdin, output });
+  }
+
+  for (const { port, args, processes } of found) {
+    if (processes.length === 0) {
+      await waitAndReport(port, args, reporter);
+      continue;
+    }
+    const chosen = new Set(
+      picked.map((idx) => items[idx]).filter((item) => item.port === port).map((item) => item.proc.pid)
+    );
+    await handleProcesses(port, processes, { ...args, chosen }, reporter);
+  }
 }
 
 /**
- * Get processes on Windows using netstat and tasklist
+ * Discover every port up front, with one findProcesses call (and so one socket snapshot) for all
+ * ports that share discovery options. Resolves to a Map from each port to its findProcesses entry,
+ * or to the error that discovery failed with.
  */
-async function getProcessesWindows(port) {
-  try {
-    const netstatOutput = execSync('netstat -ano', { encoding: 'utf8' });
-    const pids = new Set();
-
-    const lines = netstatOutput.trim().split('\n').slice(4);
-    for (const line of lines) {
-      const parts = line.trim().split(/\s+/);
-      if (parts.length >= 5) {
-        const state = parts[3];
-        const pidStr = parts[4];
-        const localAddr = parts[1];
-        const addrParts = localAddr.split(':');
-        const addrPort = parseInt(addrParts[addrParts.length - 1], 10);
-
-        if (state === 'LISTENING' && addrPort === port) {
-          const pid = parseInt(pidStr, 10);
-          if (!isNaN(pid) && pid > 0) {
-            pids.add(pid);
-          }
-        }
-      }
+async function discoverPorts(ports, runFor) {
+  const groups = new Map();
+  for (const port of ports) {
+    const options = discoveryOptions(runFor(port));
+    const key = JSON.stringify(options);
+    if (!groups.has(key)) {
+      groups.set(key, { options, ports: [] });
     }
+    groups.get(key).ports.push(port);
+  }
 
-    const processes = [];
-    for (const pid of pids) {
-      let command = 'unknown';
-      try {
-        const tasklistOutput = execSync(`tasklist /FI "PID eq ${pid}"`, {
-          encoding: 'utf8',
-        });
-        const taskLines = tasklistOutput.trim().split('\n');
-        if (taskLines.length > 1) {
-          const taskLine = taskLines[1].split(/\s+/)[0];
-          command = taskLine;
+  const found = new Map();
+  for (const group of groups.values()) {
+    try {
+      const entries = await findProcesses(group.ports, group.options);
+      entries.forEach((entry) => found.set(entry.port, entry));
+    } catch (error) {
+      group.ports.forEach((port) => found.set(port, error));
+    }
+  }
+  return found;
+}
+
+/**
+ * Handle killing processes on a specific port, from what discoverPorts found there
+ */
+async function handlePort(port, args, reporter, found) {
+  if (found instanceof Error) {
+    reporter.emit({ type: 'error', port, ...serializeError(found, 'EDISCOVERY') });
+    return;
+  }
+  const { processes } = found;
+  reporter.emit({ type: 'port', port, processes, warnings: found.warnings, hidden: found.hidden });
+
+  if (processes.length === 0) {
+    if (!args['dry-run']) {
+      await waitAndReport(port, args, reporter);
+    }
+    return;
+  }
+
+  await handleProcesses(port, processes, args, reporter);
+}
+
+/**
+ * Decide on and kill the processes found on a port: safety checks, --dry-run, confirmation
+ * (unless --force), the kill itself and --wait
+ */
+async function handleProcesses(port, processes, args, reporter) {
+  const { killer } = args;
+  // Keep stdout clean for JSON consumers
+  const promptOutput = reporter.machine ? stderr : stdout;
+
+  // Protected, excluded and unmatched processes are never offered for killing
+  const { candidates, skipped } = killer.select(processes);
+  skipped.forEach((result) => reportResult(port, result, args, reporter));
+
+  if (args['dry-run']) {
+    // Report what --force would do, without prompting or sending any signal
+    const plan = killer.expand(candidates);
+    plan.skipped.forEach((result) => reportResult(port, result, args, reporter));
+    for (const target of plan.targets) {
+      reporter.emit({
+        type: 'action',
+        port,
+        pid: target.pid,
+        command: target.command,
+        action: 'would-kill',
+        signal: args.signal,
+        timeout: args.timeout,
+        ...(target.container ? { container: target.container, containerAction: args.containerAction } : {}),
+        ...(target.via ? { via: target.via } : {}),
+      });
+    }
+    return;
+  }
+
+  const treeSize = (procs) => killer.expand(procs).targets.length;
+  let selected = [];
+  if (args.force) {
+    selected = candidates;
+  } else if (args.chosen) {
+    // Already picked in the --interactive checklist
+    selected = candidates.filter((proc) => args.chosen.has(proc.pid));
+  } else if (args.all && candidates.length > 0) {
+    // With --all, show a single confirmation per port
+    const extra = treeSize(candidates) - candidates.length;
+    const treeNote = extra > 0 ? ` and ${extra} related process(es) in their trees` : '';
+    const confirmed = await prompt(
+      `Kill all ${candidates.length} process(es) on port ${port}${treeNote}? (Y/n) `,
+      promptOutput
+    );
+    selected = confirmed ? candidates : [];
+  } else {
+    for (const proc of candidates) {
+      const key = proc.container ? containerKey(proc.container) : null;
+      if (containerAnswers.has(key)) {
+        if (containerAnswers.get(key)) {
+          selected.push(proc);
         }
-      } catch {
-        // ignore
+        continue;
+      }
+      const extra = treeSize([proc]) - 1;
+      const treeNote = extra > 0 ? ` and ${extra} related process(es)` : '';
+      const question = proc.container
+        ? `Port ${port} is published by container ${proc.container.name} (${proc.container.image}) via ` +
+          `${proc.command} (PID ${proc.pid}). ${capitalize(args.containerAction)} the container? (Y/n) `
+        : `Process ${proc.pid} (${processLabel(proc)}) is using ${portList(proc, port)}. ` +
+          `Kill it${treeNote}? (Y/n) `;
+      const confirmed = await prompt(question, promptOutput);
+      if (key) {
+        containerAnswers.set(key, confirmed);
+      }
+      if (confirmed) {
+        selected.push(proc);
       }
+    }
+  }
 
-      processes.push({ pid, command });
+  for (const proc of candidates) {
+    if (!selected.includes(proc)) {
+      const declined = { pid: proc.pid, command: proc.command, killed: false, skipped: 'declined' };
+      reportResult(port, declined, args, reporter);
     }
+  }
+  // Nobody said no: without an answer the port is still taken, so the run must not pass as done
+  if (inputClosed && !args.force && !args.chosen && candidates.length > 0) {
+    reporter.emit({
+      type: 'error',
+      port,
+      code: 'ENOINPUT',
+      message: 'No answer to the confirmation prompt (stdin is closed); use --force to kill without asking',
+    });
+  }
 
-    return processes;
-  } catch (error) {
-    console.error(colors.red(`Failed to get processes on port ${port}: ${error.message}`));
-    return [];
+  // With --tree this expands to whole trees, bottom-up; tree members get the same safety checks
+  await killer.execute(port, selected, {
+    onResult: (result, target) => reportResult(port, result, args, reporter, target),
+    onWarning: (message) => warnHistory(reporter, message),
+  });
+
+  if (selected.length > 0) {
+    await waitAndReport(port, args, reporter);
   }
 }
 
 /**
- * Kill a process
+ * Name a process for a prompt with what is known about it, e.g. "node, alice, up 2h 5m, 143 MB, in ~/app"
  */
-async function killProcess(pid, command) {
-  try {
-    if (PLATFORM === 'win32') {
-      execSync(`taskkill /PID ${pid} /F`, { encoding: 'utf8' });
-    } else {
-      try {
-        kill(pid, 'SIGKILL');
-      } catch {
-        execSync(`kill -9 ${pid}`);
-      }
-    }
-    console.log(colors.green(`✓ Killed process ${pid} (${command})`));
-  } catch (error) {
-    console.error(colors.red(`✗ Failed to kill process ${pid}: ${error.message}`));
+function processLabel(proc) {
+  return [proc.command, describeProcess(proc)].filter(Boolean).join(', ');
+}
+
+/**
+ * Describe the ports a process holds: all of them when known (--name/--cmd), else the one being handled
+ */
+function portList(proc, port) {
+  return proc.ports && proc.ports.length > 1 ? `ports ${proc.ports.join(', ')}` : `port ${port}`;
+}
+
+/**
+ * Report what the killer did with a process (or, for 'declined', what the user chose): a skip,
+ * a kill or a container action
+ */
+function reportResult(port, result, args, reporter, target = {}) {
+  const event = { type: 'action', port, pid: result.pid, command: result.command };
+  const via = result.via ? { via: result.via } : {};
+
+  if (result.skipped) {
+    const message = result.message ? { message: result.message } : {};
+    reporter.emit({ ...event, action: 'skip', reason: result.skipped, ...message, ...via });
+  } else if (result.container) {
+    reporter.emit({
+      ...event,
+      action: 'container',
+      containerAction: result.containerAction,
+      container: result.container,
+      ok: result.killed,
+      ...(result.killed ? {} : { error: serializeError(result.error, 'ECONTAINER') }),
+    });
+  } else {
+    const failure = result.killed
+      ? {}
+      : {
+          reason: result.reason,
+          error: serializeError(result.error),
+          ...(target.user ? { user: target.user } : {}),
+        };
+    reporter.emit({
+      ...event,
+      action: 'kill',
+      ok: result.killed,
+      requestedSignal: args.signal,
+      signal: result.killed ? result.signal : null,
+      escalated: result.killed ? result.escalated : false,
+      ...via,
+      ...failure,
+    });
+  }
+}
+
+/**
+ * With --wait, poll until the port is confirmed free and report the outcome
+ */
+async function waitAndReport(port, args, reporter) {
+  if (args.wait === false) {
+    return;
+  }
+
+  const release = await waitForPortFree(port, {
+    timeout: args.wait,
+    bind: args['verify-bind'],
+    host: args.filters.host,
+    filters: args.filters,
+    backend: args.backend,
+  });
+  reporter.emit({
+    type: 'release',
+    port,
+    released: release.released,
+    elapsed: release.elapsed,
+    remaining: release.processes.map(({ pid, command }) => ({ pid, command })),
+    bindBlocked: release.bindBlocked,
+  });
+}
+
+/**
+ * Warn that kills cannot be recorded in the history; once is enough, not once per process
+ */
+function warnHistory(reporter, message) {
+  if (!historyFailed) {
+    historyFailed = true;
+    reporter.emit({ type: 'warning', message });
   }
 }
 
 /**
- * Prompt user for confirmation
+ * Upper-case the first letter of a word
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Prompt user for confirmation. Resolves to false without an answer: when stdin is at its end
+ * (e.g. `< /dev/null` in CI), and from then on; `inputClosed` tells the two kinds of no apart.
  */
-function prompt(question) {
+function prompt(question, output = stdout) {
+  if (inputClosed) {
+    return Promise.resolve(false);
+  }
+
   return new Promise((resolve) => {
     const rl = readline.createInterface({
       input: stdin,
-      output: stdout,
+      output,
+    });
+    let answered = false;
+
+    // Ctrl+C at a prompt declines and then interrupts portclean as usual
+    rl.once('SIGINT', () => {
+      answered = true;
+      rl.close();
+      resolve(false);
+      process.kill(process.pid, 'SIGINT');
+    });
+
+    // At the end of stdin the question is never answered, but readline closes
+    rl.once('close', () => {
+      if (!answered) {
+        inputClosed = true;
+        output.write('\n');
+        resolve(false);
+      }
     });
 
     rl.question(question, (answer) => {
+      answered = true;
       rl.close();
       const response = answer.trim().toLowerCase();
       resolve(response === '' || response === 'y' || response === 'yes');
@@ -0,0 +1,522 @@
+import {
+  CONTAINER_ACTIONS,
+  containerKey,
+  findContainer,
+  isContainerProxy,
+  runContainerAction,
+} from './lib/containers.js';
+import { findSockets, findSocketsOnPorts, getProcessesOnPort, getProcessesOnPorts } from './lib/discovery.js';
+import { normalizeFilters } from './lib/filters.js';
+import { historyFile, recordKill } from './lib/history.js';
+import { DEFAULT_SIGNAL, DEFAULT_TIMEOUT, normalizeSignal, killProcess } from './lib/kill.js';
+import { parsePorts } from './lib/ports.js';
+import { getProcessesInfo } from './lib/procinfo.js';
+import { buildProcessTree, getProcessTable, getProcessTree, killTargets } from './lib/proctree.js';
+import { createSafetyPolicy } from './lib/safeguards.js';
+import { DEFAULT_WAIT_TIMEOUT, bindError, waitForPortFree } from './lib/wait.js';
+
+// Why a port could not be bound, by error code; anything else is 'error'
+const BUSY_REASONS = { EADDRINUSE: 'in-use', EACCES: 'denied' };
+
+/**
+ * Turn a port, a port string ("3000", "3000-3010,!3005", "53/udp", "postgres") or an array of them
+ * into `{ ports, protocols }` as parsePorts returns them. Throws if any entry is invalid.
+ */
+function resolvePorts(ports, aliases) {
+  const inputs = (Array.isArray(ports) ? ports : [ports]).map((port) => String(port));
+  const { ports: resolved, protocols, errors } = parsePorts(inputs, { aliases });
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  return { ports: resolved, protocols };
+}
+
+/**
+ * The socket filters for one port: a port given as `53/udp` only matches that protocol
+ */
+function portFilters(filters, protocols, port) {
+  return protocols[port] ? { ...filters, protocol: protocols[port] } : filters;
+}
+
+/**
+ * Run a snapshot `lookup` (findSocketsOnPorts or getProcessesOnPorts) once per protocol the ports
+ * are limited to, and return its answers as one Map from port, in port order
+ */
+async function snapshotPorts(lookup, ports, filters, protocols, backend) {
+  const groups = new Map();
+  for (const port of ports) {
+    const key = protocols[port] || '';
+    groups.set(key, [...(groups.get(key) || []), port]);
+  }
+
+  const found = new Map();
+  for (const group of groups.values()) {
+    const results = await lookup(group, portFilters(filters, protocols, group[0]), backend);
+    results.forEach((result, port) => found.set(port, result));
+  }
+  return new Map(ports.map((port) => [port, found.get(port)]));
+}
+
+/**
+ * Find the processes using each of the given ports.
+ *
+ * @param {number|string|Array<number|string>} ports Ports, ranges, aliases and lists of them, e.g.
+ *   `[3000, '8000-8010,!8005', 'postgres', '53/udp']`; a `/tcp` or `/udp` suffix overrides `protocol`
+ * @param {object} [options]
+ * @param {object} [options.aliases] Port names of your own, e.g. `{ api: '4000', web: '8000-8010' }`
+ * @param {boolean} [options.tree] Attach each process's tree (`{ root, killOrder }`) as `tree`
+ * @param {string} [options.protocol] Only match 'tcp' or 'udp' sockets
+ * @param {number} [options.family] Only match IPv4 (4) or IPv6 (6) sockets
+ * @param {string} [options.host] Only match sockets bound to this address (or to all interfaces)
+ * @param {string} [options.state='listen'] Socket state to match: 'listen', 'established' or 'any'
+ * @param {boolean} [options.containers=true] Resolve docker/podman port proxies to their containers
+ * @param {string} [options.backend] Only use this discovery backend ('lsof', 'ss', 'proc', 'netstat',
+ *   'fuser', 'windows-netstat' or 'powershell') instead of trying the platform's backends in turn
+ * @returns {Promise<Array<{ port: number, processes: object[], warnings: string[], hidden: object[] }>>}
+ *   Each process has `pid` and `command`, and also carries `user`, `cmdline`, `argv`, `cwd`, `ppid`,
+ *   `rss` (bytes), `startTime` (ISO 8601) and `uptime` (ms), with '', [] or null for what could not be read.
+ *   `warnings` explains sockets that exist but could not be attributed to a process (e.g. other users'),
+ *   and `hidden` lists those sockets as `{ protocol, family, address, port, state, user }`.
+ *   A container port proxy (docker-proxy, rootlessport, ...) gets `container: { runtime, id, name, image }`.
+ */
+async function findProcesses(ports, options = {}) {
+  const filters = normalizeFilters(options);
+  const results = [];
+  let table;
+
+  const containers = new Map();
+  const { ports: resolved, protocols } = resolvePorts(ports, options.aliases);
+  // One discovery for all ports, so large ranges do not run a backend per port
+  const found = await snapshotPorts(getProcessesOnPorts, resolved, filters, protocols, options.backend);
+  const pids = Array.from(found.values()).flatMap((entry) => entry.processes.map((proc) => proc.pid));
+  const infos = getProcessesInfo(Array.from(new Set(pids)));
+
+  for (const port of resolved) {
+    const { processes, warnings, hidden } = found.get(port);
+    processes.forEach((proc) => Object.assign(proc, infos.get(proc.pid)));
+
+    // A runtime's port proxy stands for the container that published the port
+    if (options.containers !== false) {
+      for (const proc of processes.filter((p) => isContainerProxy(p.command))) {
+        const container = findContainer(port, proc.command, containers);
+        if (container) {
+          proc.container = container;
+        } else {
+          warnings.push(
+            `${proc.command} (PID ${proc.pid}) forwards port ${port} for a container, but docker/podman ` +
+              'could not say which one; stop the container with its runtime instead of killing the proxy'
+          );
+        }
+      }
+    }
+
+    if (options.tree && processes.length > 0) {
+      table = table || getProcessTable();
+      processes
+        .filter((proc) => !proc.container)
+        .forEach((proc) => {
+          proc.tree = buildProcessTree(proc.pid, table);
+        });
+    }
+
+    results.push({ port, processes, warnings, hidden });
+  }
+
+  return results;
+}
+
+/**
+ * List listening sockets and the processes that own them, without killing anything.
+ *
+ * @param {number|string|Array<number|string>} [ports] Ports, as for findProcesses; omit to list every
+ *   listening port
+ * @param {object} [options] Socket filters, `aliases` and `backend`, as for findProcesses
+ * @returns {Promise<{ sockets: object[], warnings: string[] }>}
+ *   `sockets` holds `{ port, protocol, family, address, state, pid, command }` plus the process
+ *   metadata described for findProcesses, sorted by port then PID.
+ */
+async function listSockets(ports, options = {}) {
+  const filters = normalizeFilters(options);
+  let results;
+  if (ports === undefined) {
+    results = [await findSockets(undefined, filters, options.backend)];
+  } else {
+    const { ports: resolved, protocols } = resolvePorts(ports, options.aliases);
+    const found = await snapshotPorts(findSocketsOnPorts, resolved, filters, protocols, options.backend);
+    results = Array.from(found.values());
+  }
+  const seen = new Set();
+  const sockets = [];
+  const warnings = [];
+
+  for (const result of results) {
+    warnings.push(...result.warnings);
+
+    for (const socket of result.sockets) {
+      const key = `${socket.pid}/${socket.protocol}/${socket.address}/${socket.port}`;
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+      sockets.push(socket);
+    }
+  }
+
+  const infos = getProcessesInfo(sockets.map((socket) => socket.pid));
+  sockets.forEach((socket) => Object.assign(socket, infos.get(socket.pid)));
+  sockets.sort((a, b) => a.port - b.port || a.pid - b.pid);
+  return { sockets, warnings };
+}
+
+/**
+ * Turn a `*`/`?` wildcard pattern into a case-insensitive, anchored RegExp
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map((char) => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Find processes by name or command line, together with every port each one holds.
+ *
+ * @param {object} options
+ * @param {string} [options.name] Process name, with optional `*` and `?` wildcards (case-insensitive)
+ * @param {string} [options.cmd] Regular expression tried against the full command line
+ * @param {number|string|Array<number|string>} [options.ports] Only look at these ports or ranges
+ * @param {boolean} [options.tree] Attach each process's tree (`{ root, killOrder }`) as `tree`
+ * @returns {Promise<Array<{ pid: number, command: string, cmdline: string, user: string, ports: number[] }>>}
+ *   Processes that hold at least one matching socket (see findProcesses for the socket filters and
+ *   the other process metadata), sorted by their lowest port. Throws an error with code EINVALID for a
+ *   missing or invalid pattern.
+ */
+async function findProcessesByName(options = {}) {
+  if (!options.name && !options.cmd) {
+    throw Object.assign(new Error('Expected a name or command pattern'), { code: 'EINVALID' });
+  }
+
+  let name;
+  let cmd;
+  try {
+    name = options.name ? globToRegExp(String(options.name)) : null;
+    cmd = options.cmd ? new RegExp(String(options.cmd)) : null;
+  } catch (error) {
+    throw Object.assign(new Error(`Invalid pattern ${options.cmd}: ${error.message}`), { code: 'EINVALID' });
+  }
+
+  const { sockets } = await listSockets(options.ports, options);
+  const matches = new Map();
+  for (const socket of sockets) {
+    const command = socket.command || '';
+    const cmdline = socket.cmdline || command;
+    // lsof truncates command names, so also try the program name from the command line
+    const program = cmdline.split(/\s+/)[0].split(/[\\/]/).pop();
+    if ((name && !name.test(command) && !name.test(program)) || (cmd && !cmd.test(cmdline))) {
+      continue;
+    }
+    if (!matches.has(socket.pid)) {
+      const { pid, user, argv, cwd, ppid, rss, startTime, uptime } = socket;
+      matches.set(pid, { pid, command, cmdline, user, argv, cwd, ppid, rss, startTime, uptime, ports: [] });
+    }
+    const proc = matches.get(socket.pid);
+    if (!proc.ports.includes(socket.port)) {
+      proc.ports.push(socket.port);
+    }
+  }
+
+  const processes = Array.from(matches.values());
+  if (options.tree && processes.length > 0) {
+    const table = getProcessTable();
+    processes.forEach((proc) => {
+      proc.tree = buildProcessTree(proc.pid, table);
+    });
+  }
+
+  return processes.sort((a, b) => a.ports[0] - b.ports[0] || a.pid - b.pid);
+}
+
+/**
+ * Find ports nobody is using, e.g. for a test runner that needs a port of its own. Each port is
+ * checked in the given order by binding it (TCP) on `host`, until `count` free ports are found;
+ * for the ports that could not be bound, the discovery backends say what holds them.
+ *
+ * @param {number|string|Array<number|string>} ports Ports or ranges to try, e.g. `'3000-3100'`
+ * @param {object} [options]
+ * @param {number} [options.count=1] How many free ports to find
+ * @param {string} [options.host] Address to bind (default: all interfaces)
+ * @param {string} [options.backend] Only use this discovery backend (see findProcesses)
+ * @returns {Promise<{ free: number[], busy: object[] }>} `free` has up to `count` ports (fewer when the
+ *   range runs out). `busy` has `{ port, reason, code, processes, warnings }` for each port skipped on
+ *   the way, where `reason` is 'in-use' (with the `processes` holding it, when they can be seen),
+ *   'denied' (e.g. a privileged port) or 'error', and `code` is the bind error code.
+ *   Throws an error with code EINVALID for an invalid count or a host that is not an address of this machine.
+ */
+async function findFreePorts(ports, options = {}) {
+  const count = options.count ?? 1;
+  if (!Number.isInteger(count) || count < 1) {
+    throw Object.assign(new Error(`Invalid count ${options.count}`), { code: 'EINVALID' });
+  }
+  const filters = normalizeFilters({ host: options.host, protocol: 'tcp', state: 'any' });
+  const free = [];
+  const busy = [];
+
+  for (const port of resolvePorts(ports, options.aliases).ports) {
+    if (free.length >= count) {
+      break;
+    }
+    const code = await bindError(port, options.host);
+    if (code === null) {
+      free.push(port);
+      continue;
+    }
+    if (code === 'EADDRNOTAVAIL' || code === 'ENOTFOUND') {
+      const message = `Invalid host ${options.host}: not an address of this machine`;
+      throw Object.assign(new Error(message), { code: 'EINVALID' });
+    }
+
+    const entry = { port, reason: BUSY_REASONS[code] || 'error', code, processes: [], warnings: [] };
+    if (code === 'EADDRINUSE') {
+      try {
+        const { processes, warnings } = await getProcessesOnPort(port, filters, options.backend);
+        Object.assign(entry, { processes, warnings });
+      } catch (error) {
+        entry.warnings.push(`Could not find what holds port ${port}: ${error.message}`);
+      }
+    }
+    busy.push(entry);
+  }
+
+  return { free, busy };
+}
+
+/**
+ * The command line, working directory and owner of a process about to be killed, for the history.
+ * Kill targets only carry a PID and command, so the rest is read here.
+ */
+function restartDetails(target) {
+  const info = getProcessesInfo([target.pid]).get(target.pid) || {};
+  return { cmdline: info.cmdline || '', argv: info.argv || [], cwd: info.cwd || '', user: info.user || '' };
+}
+
+/**
+ * Prepare the kill steps killPorts takes on each port, for callers that discover processes or
+ * confirm kills their own way. Takes the killPorts options `signal`, `timeout`, `exclude`, `only`,
+ * `allowProtected`, `containerAction` and `history`, and throws on an invalid signal or container
+ * action. Returns:
+ *
+ * - `select(processes)`: `{ candidates, skipped }`, the processes found on a port that the safety
+ *   checks allow, and a killPorts result with `skipped` for each one they leave alone. Owners are
+ *   checked before trees are expanded, so a protected process never pulls in its children.
+ * - `expand(processes)`: `{ targets, skipped }`, what killing the chosen processes takes: whole trees,
+ *   bottom-up, for processes found with `tree`, with the same safety checks for every tree member.
+ * - `execute(port, processes, hooks)`: kill the expanded targets one by one and resolve to their
+ *   killPorts results. `hooks.onResult(result, target)` sees each result as soon as it is known, and
+ *   `hooks.onWarning(message)` a history file that could not be written.
+ */
+function createKiller(options = {}) {
+  const killOptions = {
+    signal: normalizeSignal(options.signal),
+    timeout: options.timeout ?? DEFAULT_TIMEOUT,
+  };
+  const containerAction = options.containerAction || 'stop';
+  if (!CONTAINER_ACTIONS.includes(containerAction)) {
+    throw new Error(`Invalid container action ${containerAction} (expected stop, rm or kill)`);
+  }
+  const policy = createSafetyPolicy(options);
+
+  const guard = (processes) => {
+    const allowed = [];
+    const skipped = [];
+    for (const proc of processes) {
+      const blocked = policy.check(proc);
+      if (!blocked) {
+        allowed.push(proc);
+        continue;
+      }
+      const { pid, command } = proc;
+      skipped.push({
+        pid,
+        command,
+        killed: false,
+        skipped: blocked.reason,
+        message: blocked.message,
+        ...(proc.via ? { via: proc.via } : {}),
+      });
+    }
+    return { allowed, skipped };
+  };
+
+  const select = (processes) => {
+    const { allowed, skipped } = guard(processes);
+    return { candidates: allowed, skipped };
+  };
+
+  const expand = (processes) => {
+    const { allowed, skipped } = guard(killTargets(processes));
+    // Each container once, however many of its proxies hold the port
+    const containers = new Set();
+    const targets = allowed.filter((target) => {
+      if (!target.container) {
+        return true;
+      }
+      const key = containerKey(target.container);
+      if (containers.has(key)) {
+        return false;
+      }
+      containers.add(key);
+      return true;
+    });
+    return { targets, skipped };
+  };
+
+  // Container actions by containerKey, so that a container published on several ports is
+  // stopped once rather than once per port
+  const containerActions = new Map();
+
+  const killTarget = async (port, target, hooks) => {
+    if (target.container) {
+      const { pid, command, container } = target;
+      const key = containerKey(container);
+      if (!containerActions.has(key)) {
+        containerActions.set(key, runContainerAction(container, containerAction));
+      }
+      const { ok, error } = await containerActions.get(key);
+      return { pid, command, killed: ok, container, containerAction, ...(ok ? {} : { error }) };
+    }
+
+    // What it takes to restart the process has to be read before it is gone
+    const details = options.history ? restartDetails(target) : null;
+    const result = await killProcess(target.pid, target.command, killOptions);
+    if (details) {
+      try {
+        recordKill({
+          port,
+          pid: target.pid,
+          command: target.command,
+          ...details,
+          signal: result.killed ? result.signal : killOptions.signal,
+          outcome: result.killed ? 'killed' : result.reason,
+          escalated: result.killed ? result.escalated : false,
+        });
+      } catch (error) {
+        hooks.onWarning(`Could not record kills in ${historyFile()}: ${error.message}`);
+      }
+    }
+    return target.via ? { ...result, via: target.via } : result;
+  };
+
+  const execute = async (port, processes, hooks = {}) => {
+    const { onResult = () => {}, onWarning = () => {} } = hooks;
+    const { targets, skipped } = expand(processes);
+    skipped.forEach((result) => onResult(result));
+
+    const results = [...skipped];
+    for (const target of targets) {
+      const result = await killTarget(port, target, { onWarning });
+      results.push(result);
+      onResult(result, target);
+    }
+    return results;
+  };
+
+  return { select, expand, execute };
+}
+
+/**
+ * Kill the processes using each of the given ports.
+ *
+ * @param {number|string|Array<number|string>} ports Ports or ranges, e.g. `[3000, '8000-8010']`
+ * @param {object} [options]
+ * @param {string|number} [options.signal='SIGTERM'] Signal sent first
+ * @param {number} [options.timeout=5000] Milliseconds to wait before escalating to SIGKILL
+ * @param {boolean|number} [options.wait] Wait (up to this many ms, or 5000 if `true`) until each port is free
+ * @param {boolean} [options.bind] While waiting, also confirm the port can be bound
+ * @param {string} [options.host] Only kill sockets bound to this address; also the host bound by `bind`
+ * @param {boolean} [options.tree] Also kill each process's parent chain and descendants, bottom-up
+ * @param {string} [options.protocol] Only match 'tcp' or 'udp' sockets
+ * @param {number} [options.family] Only match IPv4 (4) or IPv6 (6) sockets
+ * @param {string} [options.state='listen'] Socket state to match: 'listen', 'established' or 'any'
+ * @param {string|number|Array<string|number>} [options.exclude] Names, PIDs or '/regex/' never to kill
+ * @param {string|number|Array<string|number>} [options.only] Names, PIDs or '/regex/'; anything else is left alone
+ * @param {boolean} [options.allowProtected] Also kill PID 1, system daemons and this process's ancestors
+ * @param {string} [options.containerAction='stop'] For container port proxies: 'stop', 'rm' or 'kill' the container
+ * @param {string} [options.backend] Only use this discovery backend (see findProcesses)
+ * @param {Function} [options.confirm] `(port, processes)`, asked before anything on a port is killed;
+ *   resolves to the processes to kill, or to `true`/`false` for all or none. The rest are skipped as 'declined'.
+ * @param {boolean} [options.history] Record each kill in the history file, as the CLI does
+ * @returns {Promise<Array<{ port: number, processes: object[], results: object[], release?: object }>>}
+ *   One entry per port (with `hidden` as for findProcesses); `results` holds
+ *   `{ pid, command, killed, signal, escalated, error, reason }` per process, where a failure's `reason` is
+ *   'permission' (another user's process), 'gone', 'timeout' or 'error'. Tree members that were not on
+ *   the port also carry `via: 'tree'`. Processes left alone by the
+ *   safety checks get `{ pid, command, killed: false, skipped, message }` with `skipped` set to
+ *   'protected', 'excluded' or 'not-matched'. For a container port proxy the container is acted on
+ *   instead, and the result carries `container` and `containerAction`.
+ *   With `wait`, `release` holds `{ released, elapsed, processes, bindBlocked }` from waitForPortFree.
+ *   A history file that cannot be written adds a warning to the entry.
+ */
+async function killPorts(ports, options = {}) {
+  const killer = createKiller(options);
+  const filters = normalizeFilters(options);
+  const { protocols } = resolvePorts(ports, options.aliases);
+  const found = await findProcesses(ports, {
+    ...filters,
+    aliases: options.aliases,
+    tree: options.tree,
+    backend: options.backend,
+  });
+
+  for (const entry of found) {
+    const { candidates, skipped } = killer.select(entry.processes);
+    let chosen = candidates;
+    if (options.confirm && candidates.length > 0) {
+      const answer = await options.confirm(entry.port, candidates);
+      chosen = candidates.filter((proc) => (Array.isArray(answer) ? answer.includes(proc) : Boolean(answer)));
+    }
+    const declined = candidates
+      .filter((proc) => !chosen.includes(proc))
+      .map(({ pid, command }) => ({ pid, command, killed: false, skipped: 'declined' }));
+
+    let warned = false;
+    const onWarning = (message) => {
+      if (!warned) {
+        warned = true;
+        entry.warnings.push(message);
+      }
+    };
+    entry.results = [...skipped, ...declined, ...(await killer.execute(entry.port, chosen, { onWarning }))];
+
+    if (options.wait) {
+      entry.release = await waitForPortFree(entry.port, {
+        timeout: options.wait === true ? DEFAULT_WAIT_TIMEOUT : options.wait,
+        bind: options.bind,
+        host: options.host,
+        filters: portFilters(filters, protocols, entry.port),
+        backend: options.backend,
+      });
+    }
+  }
+
+  return found;
+}
+
+export {
+  DEFAULT_SIGNAL,
+  DEFAULT_TIMEOUT,
+  DEFAULT_WAIT_TIMEOUT,
+  createKiller,
+  findFreePorts,
+  findProcesses,
+  findProcessesByName,
+  getProcessTree,
+  killPorts,
+  killProcess,
+  listSockets,
+  normalizeSignal,
+  parsePorts,
+  waitForPortFree,
+};
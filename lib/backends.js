@@ -0,0 +1,378 @@
+import { execFileSync } from 'child_process';
+import { accessSync, constants, readFileSync, statSync } from 'fs';
+import { createServer } from 'net';
+import { basename, delimiter, join } from 'path';
+import { matchesFilters, normalizeFilters } from './filters.js';
+import {
+  parseFuserOutput,
+  parseLsofSockets,
+  parseNetstatSockets,
+  parsePowerShellSockets,
+  parseSsSockets,
+  parseWindowsNetstatSockets,
+} from './parsers.js';
+import { getSocketsProc, isProcNetAvailable } from './procnet.js';
+
+const PLATFORM = process.platform;
+
+// Upper bound for one run of a system tool, so a hung lsof (e.g. on a stale NFS mount) cannot hang us
+const TOOL_TIMEOUT = 15000;
+
+// Listing every socket on a busy machine easily exceeds execFileSync's 1 MB default
+const TOOL_MAX_BUFFER = 64 * 1024 * 1024;
+
+// Backends tried, in order, on each platform. An empty answer from a backend marked `partial`
+// is not trusted (e.g. lsof or ss without root hide other users' sockets), so the next one is tried.
+const BACKEND_CHAINS = {
+  linux: ['lsof', 'ss', 'proc', 'netstat', 'fuser'],
+  darwin: ['lsof'],
+  win32: ['windows-netstat', 'powershell'],
+};
+
+/**
+ * Create an error with a code, as thrown by backends
+ */
+function backendError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Find an executable on PATH (trying PATHEXT extensions on Windows); null when missing
+ */
+function findExecutable(name, env = process.env) {
+  const extensions = PLATFORM === 'win32' ? (env.PATHEXT || '.EXE;.CMD;.BAT;.COM').split(';') : [''];
+
+  for (const dir of (env.PATH || env.Path || '').split(delimiter)) {
+    if (!dir) {
+      continue;
+    }
+    for (const extension of extensions) {
+      const path = join(dir, `${name}${extension}`);
+      try {
+        if (statSync(path).isFile()) {
+          accessSync(path, constants.X_OK);
+          return path;
+        }
+      } catch {
+        // not here
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Probe for a backend that runs the first of `names` found on PATH
+ */
+function probeExecutable(...names) {
+  for (const name of names) {
+    const path = findExecutable(name);
+    if (path) {
+      return { available: true, path };
+    }
+  }
+  return { available: false, reason: `${names.join(' or ')} is not installed (not found on PATH)` };
+}
+
+/**
+ * Run a system tool and return its stdout. Exit statuses in `okStatus` are not failures (lsof and
+ * fuser exit 1 when they find nothing). Throws ENOENT when the tool is missing, EACCES when it
+ * was refused permission and EBACKEND for anything else, with the tool's own message.
+ */
+function runTool(file, args, { okStatus = [] } = {}) {
+  try {
+    return execFileSync(file, args, {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      timeout: TOOL_TIMEOUT,
+      maxBuffer: TOOL_MAX_BUFFER,
+      windowsHide: true,
+    });
+  } catch (error) {
+    const name = basename(file);
+    if (error.code === 'ENOENT') {
+      throw backendError('ENOENT', `${name} is not installed`);
+    }
+    if (okStatus.includes(error.status)) {
+      return error.stdout || '';
+    }
+    if (error.code === 'ETIMEDOUT') {
+      throw backendError('ETIMEDOUT', `${name} did not finish within ${TOOL_TIMEOUT / 1000}s`);
+    }
+    const stderr = String(error.stderr || '').trim().split('\n').pop();
+    const code = /permission denied|not permitted|access is denied/i.test(stderr) ? 'EACCES' : 'EBACKEND';
+    const status =
+      error.status === null ? `was killed by ${error.signal}` : `exited with status ${error.status}`;
+    throw backendError(code, `${name} ${status}${stderr ? `: ${stderr}` : ''}`);
+  }
+}
+
+/**
+ * Keep the sockets on `port` (every port when undefined) that match the filters
+ */
+function select(sockets, port, filters) {
+  return sockets.filter(
+    (socket) => (port === undefined || socket.port === port) && matchesFilters(socket, filters)
+  );
+}
+
+/**
+ * Read a Linux process's command name, as fuser does not report it
+ */
+function commandName(pid) {
+  try {
+    return readFileSync(`/proc/${pid}/comm`, 'utf8').trim();
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Look up a process image name with tasklist
+ */
+function getWindowsCommand(pid) {
+  try {
+    const output = runTool('tasklist', ['/FI', `PID eq ${pid}`]);
+    const taskLines = output.trim().split('\n');
+    if (taskLines.length > 1) {
+      return taskLines[1].split(/\s+/)[0];
+    }
+  } catch {
+    // ignore
+  }
+  return 'unknown';
+}
+
+/**
+ * PowerShell script printing `protocol|address|port|state|pid|name` per socket
+ */
+function powerShellScript(port) {
+  const local = port === undefined ? '' : ` -LocalPort ${port}`;
+  const where = '$($_.LocalAddress)|$($_.LocalPort)';
+  const owner = '$($_.OwningProcess)|$($names[[int]$_.OwningProcess])';
+  return [
+    "$ErrorActionPreference = 'SilentlyContinue'",
+    '$names = @{}',
+    'Get-Process | ForEach-Object { $names[[int]$_.Id] = $_.ProcessName }',
+    `Get-NetTCPConnection${local} | ForEach-Object { "tcp|${where}|$($_.State)|${owner}" }`,
+    `Get-NetUDPEndpoint${local} | ForEach-Object { "udp|${where}||${owner}" }`,
+  ].join('; ');
+}
+
+/**
+ * Discovery backends. Each one has:
+ *
+ *   name         used by --backend and `portclean doctor`
+ *   platforms    where it can run
+ *   description  what it runs
+ *   partial      an empty answer may just mean it could not see the socket
+ *   perPort      it cannot list every port at once, so several ports take one run each
+ *   probe()      `{ available: true, path }` or `{ available: false, reason }`, without listing anything
+ *   list(port, filters, path)
+ *                `{ sockets, warnings }` for sockets on `port` (every port when undefined) matching
+ *                `filters`; throws an error with a code when the backend fails
+ */
+const BACKENDS = [
+  {
+    name: 'lsof',
+    platforms: ['linux', 'darwin'],
+    description: 'lsof -i',
+    partial: true,
+    probe: () => probeExecutable('lsof'),
+    list(port, filters, path) {
+      const target = port === undefined ? '' : `:${port}`;
+      // +c 0: full command names (lsof cuts them at 9 characters by default)
+      const output = runTool(path, ['+c', '0', `-i${target}`, '-n', '-P'], { okStatus: [1] });
+      return { sockets: select(parseLsofSockets(output), port, filters), warnings: [] };
+    },
+  },
+  {
+    name: 'ss',
+    platforms: ['linux'],
+    description: 'ss -tulpn (iproute2)',
+    partial: true,
+    probe: () => probeExecutable('ss'),
+    list(port, filters, path) {
+      // -l only shows listening TCP and unconnected UDP sockets; other states need -a
+      const args = [filters.state === 'listen' ? '-tulpnH' : '-tuapnH'];
+      if (port !== undefined) {
+        args.push('sport', '=', `:${port}`);
+      }
+      const output = runTool(path, args);
+      return { sockets: select(parseSsSockets(output), port, filters), warnings: [] };
+    },
+  },
+  {
+    name: 'proc',
+    platforms: ['linux'],
+    description: 'reads /proc/net and /proc/<pid>/fd',
+    probe: () =>
+      isProcNetAvailable()
+        ? { available: true, path: '/proc/net' }
+        : { available: false, reason: '/proc/net/tcp cannot be read' },
+    list: (port, filters) => getSocketsProc(port, { filter: (socket) => matchesFilters(socket, filters) }),
+  },
+  {
+    name: 'netstat',
+    platforms: ['linux'],
+    description: 'netstat -anp',
+    probe: () => probeExecutable('netstat'),
+    list(port, filters, path) {
+      const output = runTool(path, ['-anp']);
+      return { sockets: select(parseNetstatSockets(output), port, filters), warnings: [] };
+    },
+  },
+  {
+    name: 'fuser',
+    platforms: ['linux'],
+    description: 'fuser -n tcp|udp <port> (PIDs only: no addresses or states)',
+    perPort: true,
+    probe: () => probeExecutable('fuser'),
+    list(port, filters, path) {
+      if (port === undefined) {
+        throw backendError('EUNSUPPORTED', 'fuser can only look up one port at a time');
+      }
+
+      const protocols = filters.protocol ? [filters.protocol] : ['tcp', 'udp'];
+      const sockets = [];
+      for (const protocol of protocols) {
+        const output = runTool(path, ['-n', protocol, String(port)], { okStatus: [1] });
+        for (const socket of parseFuserOutput(output, protocol, port)) {
+          sockets.push({ ...socket, command: commandName(socket.pid) });
+        }
+      }
+
+      const warnings = [];
+      if (filters.family || filters.host || filters.state !== 'listen') {
+        warnings.push(
+          'fuser cannot tell addresses or socket states apart; --ipv4/--ipv6, --host and --state were ignored'
+        );
+      }
+      return { sockets, warnings };
+    },
+  },
+  {
+    name: 'windows-netstat',
+    platforms: ['win32'],
+    description: 'netstat -ano with tasklist',
+    probe: () => probeExecutable('netstat'),
+    list(port, filters, path) {
+      const output = runTool(path, ['-ano']);
+      const commands = new Map();
+      const sockets = select(parseWindowsNetstatSockets(output), port, filters).map((socket) => {
+        if (!commands.has(socket.pid)) {
+          commands.set(socket.pid, getWindowsCommand(socket.pid));
+        }
+        return { ...socket, command: commands.get(socket.pid) };
+      });
+      return { sockets, warnings: [] };
+    },
+  },
+  {
+    name: 'powershell',
+    platforms: ['win32'],
+    description: 'PowerShell Get-NetTCPConnection and Get-NetUDPEndpoint',
+    probe: () => probeExecutable('powershell', 'pwsh'),
+    list(port, filters, path) {
+      const output = runTool(path, ['-NoProfile', '-NonInteractive', '-Command', powerShellScript(port)]);
+      return { sockets: select(parsePowerShellSockets(output), port, filters), warnings: [] };
+    },
+  },
+];
+
+const BACKEND_NAMES = BACKENDS.map((backend) => backend.name);
+
+const probes = new Map();
+
+/**
+ * Look up a backend by name. Throws an error with code EINVALID for an unknown name.
+ */
+function getBackend(name) {
+  const backend = BACKENDS.find((candidate) => candidate.name === String(name).toLowerCase());
+  if (!backend) {
+    throw backendError('EINVALID', `Invalid backend ${name} (expected ${BACKEND_NAMES.join(', ')})`);
+  }
+  return backend;
+}
+
+/**
+ * The backends tried on a platform, in order
+ */
+function backendChain(platform = PLATFORM) {
+  return (BACKEND_CHAINS[platform] || []).map(getBackend);
+}
+
+/**
+ * Probe a backend once per process: whether it can run here, and if not, why
+ */
+function probeBackend(backend) {
+  if (!probes.has(backend.name)) {
+    probes.set(
+      backend.name,
+      backend.platforms.includes(PLATFORM)
+        ? backend.probe()
+        : { available: false, reason: `not supported on ${PLATFORM} (only ${backend.platforms.join(', ')})` }
+    );
+  }
+  return probes.get(backend.name);
+}
+
+/**
+ * Check every backend on this machine for `portclean doctor`: probe it, then make it look up a
+ * socket this process is listening on. Resolves one entry per backend:
+ * `{ name, description, order, status, detail }`, where `order` is the backend's place in this
+ * platform's fallback chain (null when not in it) and `status` is 'ok', 'unavailable' or 'failed'.
+ */
+async function diagnoseBackends() {
+  const server = createServer();
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen({ port: 0, host: '127.0.0.1' }, resolve);
+  });
+  const { port } = server.address();
+  const chain = BACKEND_CHAINS[PLATFORM] || [];
+  const results = [];
+
+  try {
+    for (const backend of BACKENDS) {
+      const entry = {
+        name: backend.name,
+        description: backend.description,
+        order: chain.includes(backend.name) ? chain.indexOf(backend.name) + 1 : null,
+      };
+
+      probes.delete(backend.name);
+      const probe = probeBackend(backend);
+      if (!probe.available) {
+        results.push({ ...entry, status: 'unavailable', detail: probe.reason });
+        continue;
+      }
+
+      try {
+        const { sockets } = await backend.list(port, normalizeFilters({ protocol: 'tcp' }), probe.path);
+        const found = sockets.some((socket) => socket.pid === process.pid);
+        results.push({
+          ...entry,
+          status: found ? 'ok' : 'failed',
+          detail: found ? probe.path : `ran, but did not report a test socket on port ${port}`,
+        });
+      } catch (error) {
+        results.push({ ...entry, status: 'failed', detail: error.message });
+      }
+    }
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  return results;
+}
+
+export {
+  BACKEND_NAMES,
+  backendChain,
+  diagnoseBackends,
+  findExecutable,
+  getBackend,
+  probeBackend,
+};
@@ -0,0 +1,158 @@
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { ALIAS_NAME } from './ports.js';
+
+// Checked in each directory, from cwd up to the filesystem root; the first one found wins
+const CONFIG_FILES = ['.portcleanrc', '.portcleanrc.json', 'package.json'];
+
+// Options that accumulate across config defaults, per-port options and the command line
+const LIST_OPTIONS = ['exclude', 'only'];
+
+// Options read before any config is loaded (output format, sudo, the config itself), or that name
+// a single history entry; a config cannot set them
+const CLI_ONLY_OPTIONS = ['help', 'version', 'json', 'ndjson', 'sudo', 'config', 'restart'];
+
+/**
+ * Check and fill in a config object: `{ sets, aliases, defaults, ports }`. Throws on the wrong shape.
+ */
+function normalizeConfig(raw, source) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid config in ${source}: expected an object`);
+  }
+
+  const config = { sets: {}, aliases: {}, defaults: {}, ports: {}, source };
+  for (const key of ['sets', 'aliases', 'defaults', 'ports']) {
+    if (raw[key] === undefined) {
+      continue;
+    }
+    if (!raw[key] || typeof raw[key] !== 'object' || Array.isArray(raw[key])) {
+      throw new Error(`Invalid config in ${source}: "${key}" must be an object`);
+    }
+    config[key] = raw[key];
+  }
+
+  for (const [name, value] of Object.entries(config.aliases)) {
+    if (!ALIAS_NAME.test(name) || !['string', 'number'].includes(typeof value)) {
+      throw new Error(`Invalid config in ${source}: "aliases" entries must map a name to ports`);
+    }
+  }
+
+  for (const [port, options] of Object.entries(config.ports)) {
+    if (!/^\d+$/.test(port) || !options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error(`Invalid config in ${source}: "ports" entries must map a port number to options`);
+    }
+  }
+
+  for (const options of [config.defaults, ...Object.values(config.ports)]) {
+    const cliOnly = CLI_ONLY_OPTIONS.find((name) => Object.prototype.hasOwnProperty.call(options, name));
+    if (cliOnly) {
+      throw new Error(`Invalid config in ${source}: "${cliOnly}" can only be given on the command line`);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Read one config file. Returns null for a package.json without a "portclean" key.
+ */
+function readConfigFile(path) {
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config ${path}: ${error.message}`);
+  }
+
+  if (path.endsWith('package.json')) {
+    if (!raw || raw.portclean === undefined) {
+      return null;
+    }
+    return normalizeConfig(raw.portclean, `${path} ("portclean" key)`);
+  }
+  return normalizeConfig(raw, path);
+}
+
+/**
+ * Find and load the nearest config by walking up from `cwd`. Resolves to an empty config
+ * (with `source: null`) when there is none. Throws when a config file exists but is invalid.
+ */
+function loadConfig(cwd = process.cwd()) {
+  let dir = resolve(cwd);
+
+  for (;;) {
+    for (const file of CONFIG_FILES) {
+      const path = join(dir, file);
+      if (existsSync(path)) {
+        const config = readConfigFile(path);
+        if (config) {
+          return config;
+        }
+      }
+    }
+
+    const parent = dirname(dir);
+    if (parent === dir) {
+      return normalizeConfig({}, null);
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Replace `@name` arguments with the ports of the named set. Sets may list numbers, port
+ * strings, ranges and other `@sets`. Returns `{ inputs, errors }` in the shape parsePorts uses.
+ */
+function expandPortSets(inputs, sets = {}) {
+  const expanded = [];
+  const errors = [];
+
+  const expand = (input, seen) => {
+    const value = String(input);
+    if (!value.startsWith('@')) {
+      expanded.push(value);
+      return;
+    }
+
+    const name = value.slice(1);
+    if (!Object.prototype.hasOwnProperty.call(sets, name)) {
+      errors.push(`Error: Unknown port set ${value}`);
+      return;
+    }
+    if (seen.has(name)) {
+      errors.push(`Error: Port set ${value} refers to itself`);
+      return;
+    }
+
+    const members = Array.isArray(sets[name]) ? sets[name] : [sets[name]];
+    members.forEach((member) => expand(member, new Set(seen).add(name)));
+  };
+
+  inputs.forEach((input) => expand(input, new Set()));
+  return { inputs: expanded, errors };
+}
+
+/**
+ * Layer option objects left to right (later wins), concatenating list options such as
+ * `exclude` instead of replacing them. `undefined` values never override.
+ */
+function mergeOptions(...layers) {
+  const merged = {};
+
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      if (value === undefined) {
+        continue;
+      }
+      if (LIST_OPTIONS.includes(key) && merged[key] !== undefined) {
+        merged[key] = [].concat(merged[key], value);
+      } else {
+        merged[key] = value;
+      }
+    }
+  }
+
+  return merged;
+}
+
+export { CONFIG_FILES, expandPortSets, loadConfig, mergeOptions, normalizeConfig, readConfigFile };
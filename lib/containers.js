@@ -0,0 +1,149 @@
+import { execFileSync } from 'child_process';
+import { matchCommand } from './proctree.js';
+
+// Processes that hold a host port on behalf of a container, with the CLIs to ask (in order)
+// which container published it. Killing them breaks the runtime's networking instead of
+// stopping the container.
+const CONTAINER_PROXIES = new Map([
+  ['docker-proxy', ['docker', 'podman']],
+  ['com.docker.backend', ['docker']],
+  ['com.docker.vpnkit', ['docker']],
+  ['vpnkit', ['docker']],
+  ['vpnkit-bridge', ['docker']],
+  ['rootlessport', ['podman', 'docker']],
+  ['rootlessport-child', ['podman', 'docker']],
+  ['gvproxy', ['podman', 'docker']],
+  ['slirp4netns', ['podman', 'docker']],
+  ['pasta', ['podman']],
+]);
+
+const CONTAINER_ACTIONS = ['stop', 'rm', 'kill'];
+
+// `ps` output format understood by both docker and podman; names and images never contain '|'
+const PS_FORMAT = '{{.ID}}|{{.Names}}|{{.Image}}|{{.Ports}}';
+
+/**
+ * Resolve a command to its CONTAINER_PROXIES key (also under a truncated name), or null
+ */
+function proxyName(command) {
+  return matchCommand(command, CONTAINER_PROXIES.keys());
+}
+
+/**
+ * Check whether a command is a container runtime's port proxy
+ */
+function isContainerProxy(command) {
+  return proxyName(command) !== null;
+}
+
+/**
+ * Parse a `ps` Ports column ("0.0.0.0:8000-8001->80-81/tcp, :::3000->3000/tcp, 5432/tcp")
+ * into the published host ports. Exposed-only ports (no "->") are skipped.
+ */
+function parsePublishedPorts(field) {
+  const published = [];
+
+  for (const mapping of field.split(',')) {
+    const match = mapping.trim().match(/^(.*):(\d+)(?:-(\d+))?->\d+(?:-\d+)?\/(\w+)$/);
+    if (!match) {
+      continue;
+    }
+    const start = parseInt(match[2], 10);
+    const end = match[3] ? parseInt(match[3], 10) : start;
+    for (let port = start; port <= end; port++) {
+      published.push({ hostIp: match[1].replace(/^\[(.*)\]$/, '$1'), port, protocol: match[4] });
+    }
+  }
+
+  return published;
+}
+
+/**
+ * Parse `<runtime> ps --format PS_FORMAT` output
+ */
+function parseContainerList(output, runtime) {
+  const containers = [];
+
+  for (const line of output.trim().split('\n')) {
+    const [id, name, image, ports = ''] = line.trim().split('|');
+    if (!id || !name) {
+      continue;
+    }
+    containers.push({ runtime, id, name, image, ports: parsePublishedPorts(ports) });
+  }
+
+  return containers;
+}
+
+/**
+ * List running containers with a runtime's CLI; empty when the CLI is missing or fails
+ */
+function listContainers(runtime) {
+  try {
+    const output = execFileSync(runtime, ['ps', '--format', PS_FORMAT], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 10000,
+    });
+    return parseContainerList(output, runtime);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Find the container that publishes `port` through the proxy process `command`.
+ * Returns `{ runtime, id, name, image }` or null. `cache` (a Map) avoids listing twice.
+ */
+function findContainer(port, command, cache = new Map()) {
+  const runtimes = CONTAINER_PROXIES.get(proxyName(command)) || ['docker', 'podman'];
+
+  for (const runtime of runtimes) {
+    if (!cache.has(runtime)) {
+      cache.set(runtime, listContainers(runtime));
+    }
+    const container = cache.get(runtime).find((c) => c.ports.some((published) => published.port === port));
+    if (container) {
+      const { id, name, image } = container;
+      return { runtime, id, name, image };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Identify a container across the proxies that publish its ports: runtimes start one proxy per
+ * host address (0.0.0.0 and ::) and per published port
+ */
+function containerKey(container) {
+  return `${container.runtime}:${container.id}`;
+}
+
+/**
+ * Stop, remove or kill a container with its runtime's CLI. Never throws; resolves
+ * `{ ok: true }` or `{ ok: false, error }`.
+ */
+async function runContainerAction(container, action = 'stop') {
+  const args = action === 'rm' ? ['rm', '-f', container.id] : [action, container.id];
+  try {
+    execFileSync(container.runtime, args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+    return { ok: true };
+  } catch (error) {
+    const stderr = error.stderr ? String(error.stderr).trim() : '';
+    const message = stderr || error.message;
+    // e.g. not being in the docker group
+    const code = error.code || (/permission denied/i.test(stderr) ? 'EACCES' : 'ECONTAINER');
+    return { ok: false, error: Object.assign(new Error(message), { code }) };
+  }
+}
+
+export {
+  CONTAINER_ACTIONS,
+  containerKey,
+  findContainer,
+  isContainerProxy,
+  parseContainerList,
+  parsePublishedPorts,
+  runContainerAction,
+};
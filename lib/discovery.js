@@ -0,0 +1,246 @@
+import { backendChain, getBackend, probeBackend } from './backends.js';
+import { normalizeFilters } from './filters.js';
+import { hiddenSocketsWarning, unownedSocketsWarning } from './procnet.js';
+
+const PLATFORM = process.platform;
+
+// From this many ports on, one listing of every socket is cheaper than a lookup per port
+const SNAPSHOT_MIN_PORTS = 2;
+
+/**
+ * Get the distinct processes owning sockets on a port that match `filters`
+ * (listening sockets by default), plus any diagnostics about sockets that could not be attributed
+ * and those sockets themselves (`hidden`, see findSockets)
+ */
+async function getProcessesOnPort(port, filters = normalizeFilters(), backend) {
+  const { sockets, warnings, hidden } = await findSockets(port, filters, backend);
+  return { processes: socketOwners(sockets), warnings, hidden };
+}
+
+/**
+ * Like getProcessesOnPort for each of `ports`, from one snapshot (see findSocketsOnPorts).
+ * Resolves to a Map from each port to `{ processes, warnings, hidden }`.
+ */
+async function getProcessesOnPorts(ports, filters = normalizeFilters(), backend) {
+  const found = await findSocketsOnPorts(ports, filters, backend);
+  const results = new Map();
+  for (const [port, { sockets, warnings, hidden }] of found) {
+    results.set(port, { processes: socketOwners(sockets), warnings, hidden });
+  }
+  return results;
+}
+
+/**
+ * The distinct processes owning some sockets, as `{ pid, command }`
+ */
+function socketOwners(sockets) {
+  const processes = [];
+  for (const socket of sockets) {
+    if (!processes.find((p) => p.pid === socket.pid)) {
+      processes.push({ pid: socket.pid, command: socket.command });
+    }
+  }
+  return processes;
+}
+
+/**
+ * Get sockets with their owning processes, on one port or on every port when `port` is
+ * undefined. Only the local side of a socket is matched against the port, and every backend
+ * applies the same `filters` (see normalizeFilters) so results agree across platforms.
+ *
+ * With `backend` (a name from BACKEND_NAMES) only that backend is used and its failures are
+ * thrown. Otherwise the platform's backends are tried in order until one gives a trustworthy
+ * answer; when none can run, the error lists why each one failed.
+ *
+ * Resolves to `{ sockets, warnings, hidden, unowned }`. `hidden` holds sockets that exist but whose
+ * owner this user may not inspect, as `{ protocol, family, address, port, state, user }` (only the
+ * /proc backend can see them); `unowned` holds such sockets when even root sees no owner.
+ */
+async function findSockets(port, filters = normalizeFilters(), backend) {
+  if (backend !== undefined) {
+    const { selected, path } = selectBackend(backend);
+    return withHidden(await selected.list(port, filters, path));
+  }
+
+  const chain = platformChain();
+  const failures = [];
+  // Empty answers, whose diagnostics are all kept: a later backend may see what an earlier one could not
+  const empty = [];
+  for (const candidate of chain) {
+    const probe = probeBackend(candidate);
+    if (!probe.available) {
+      failures.push({ backend: candidate.name, message: probe.reason, missing: true });
+      continue;
+    }
+
+    let result;
+    try {
+      result = await candidate.list(port, filters, probe.path);
+    } catch (error) {
+      failures.push({ backend: candidate.name, message: error.message });
+      continue;
+    }
+
+    if (result.sockets.length > 0) {
+      return withHidden(result);
+    }
+    empty.push(withHidden(result));
+    if (!candidate.partial) {
+      break;
+    }
+  }
+
+  return nothingFound(empty, failures);
+}
+
+/**
+ * Find the sockets on each of `ports` (as findSockets does for one) with as few backend runs as
+ * possible: each backend lists every socket once and its answer is indexed by port. Ports that a
+ * partial backend found nothing on go on to the next backend together, so `portclean 3000-4000`
+ * runs each backend at most once instead of once per port.
+ *
+ * Resolves to a Map from each port to `{ sockets, warnings, hidden, unowned }`, in the order of `ports`.
+ */
+async function findSocketsOnPorts(ports, filters = normalizeFilters(), backend) {
+  const results = new Map();
+  if (ports.length < SNAPSHOT_MIN_PORTS) {
+    for (const port of ports) {
+      results.set(port, await findSockets(port, filters, backend));
+    }
+    return results;
+  }
+
+  if (backend !== undefined) {
+    const { selected, path } = selectBackend(backend);
+    return listPorts(selected, ports, filters, path);
+  }
+
+  const chain = platformChain();
+  const failures = [];
+  // Empty answers per port, as in findSockets
+  const empty = new Map(ports.map((port) => [port, []]));
+  let remaining = ports;
+  for (const candidate of chain) {
+    if (remaining.length === 0) {
+      break;
+    }
+    const probe = probeBackend(candidate);
+    if (!probe.available) {
+      failures.push({ backend: candidate.name, message: probe.reason, missing: true });
+      continue;
+    }
+
+    let listed;
+    try {
+      listed = await listPorts(candidate, remaining, filters, probe.path);
+    } catch (error) {
+      failures.push({ backend: candidate.name, message: error.message });
+      continue;
+    }
+
+    for (const port of remaining) {
+      const result = listed.get(port);
+      if (result.sockets.length > 0) {
+        results.set(port, result);
+      } else {
+        empty.get(port).push(result);
+      }
+    }
+    remaining = candidate.partial ? remaining.filter((port) => !results.has(port)) : [];
+  }
+
+  const ordered = new Map();
+  for (const port of ports) {
+    ordered.set(port, results.get(port) || nothingFound(empty.get(port), failures));
+  }
+  return ordered;
+}
+
+/**
+ * Run one backend for several ports: a single listing of every socket, indexed by port, or a
+ * lookup per port for backends that cannot list everything at once (fuser). A full listing's
+ * warnings only describe hidden and unowned sockets, so they are rebuilt for each port.
+ */
+async function listPorts(candidate, ports, filters, path) {
+  const listed = new Map();
+  if (candidate.perPort) {
+    for (const port of ports) {
+      listed.set(port, withHidden(await candidate.list(port, filters, path)));
+    }
+    return listed;
+  }
+
+  const all = withHidden(await candidate.list(undefined, filters, path));
+  ports.forEach((port) => listed.set(port, { sockets: [], warnings: [], hidden: [], unowned: [] }));
+  for (const list of ['sockets', 'hidden', 'unowned']) {
+    for (const socket of all[list].filter((s) => listed.has(s.port))) {
+      listed.get(socket.port)[list].push(socket);
+    }
+  }
+  for (const [port, result] of listed) {
+    if (result.hidden.length > 0) {
+      result.warnings.push(hiddenSocketsWarning(result.hidden, port));
+    }
+    if (result.unowned.length > 0) {
+      result.warnings.push(unownedSocketsWarning(result.unowned, port));
+    }
+  }
+  return listed;
+}
+
+/**
+ * Look up and probe the backend chosen with --backend. Throws when it cannot run here.
+ */
+function selectBackend(name) {
+  const selected = getBackend(name);
+  const probe = probeBackend(selected);
+  if (!probe.available) {
+    throw Object.assign(new Error(`The ${selected.name} backend is not available: ${probe.reason}`), {
+      code: 'EBACKEND',
+    });
+  }
+  return { selected, path: probe.path };
+}
+
+/**
+ * This platform's backends, in the order they are tried
+ */
+function platformChain() {
+  const chain = backendChain();
+  if (chain.length === 0) {
+    throw new Error(`Unsupported platform: ${PLATFORM}`);
+  }
+  return chain;
+}
+
+/**
+ * The answer when no backend found a socket: the diagnostics of every empty answer, and of the
+ * backends that broke along the way. Throws when no backend gave an answer at all.
+ */
+function nothingFound(empty, failures) {
+  if (empty.length === 0) {
+    const reasons = failures.map((failure) => `${failure.backend}: ${failure.message}`).join('; ');
+    throw Object.assign(new Error(`No discovery backend works on this machine (${reasons})`), {
+      code: 'ENOBACKEND',
+    });
+  }
+
+  const broken = failures
+    .filter((failure) => !failure.missing)
+    .map((failure) => `Could not use ${failure.backend}: ${failure.message}`);
+  return {
+    sockets: [],
+    warnings: [...empty.flatMap((result) => result.warnings), ...broken],
+    hidden: empty.flatMap((result) => result.hidden),
+    unowned: empty.flatMap((result) => result.unowned),
+  };
+}
+
+/**
+ * Give a backend's answer the `hidden` and `unowned` lists that only some backends fill in
+ */
+function withHidden(result) {
+  return { ...result, hidden: result.hidden || [], unowned: result.unowned || [] };
+}
+
+export { findSockets, findSocketsOnPorts, getProcessesOnPort, getProcessesOnPorts };
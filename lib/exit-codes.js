@@ -0,0 +1,42 @@
+// Process exit codes (documented in README)
+const EXIT_CODES = {
+  OK: 0,
+  INVALID_INPUT: 1,
+  NOT_FOUND: 2,
+  PARTIAL_FAILURE: 3,
+  PERMISSION_DENIED: 4,
+  // The command after `--` could not be started; as in shells
+  COMMAND_NOT_STARTED: 127,
+};
+
+const PERMISSION_ERROR_CODES = ['EPERM', 'EACCES'];
+
+/**
+ * Check whether an error code means the caller lacked permission
+ */
+function isPermissionError(code) {
+  return PERMISSION_ERROR_CODES.includes(code);
+}
+
+/**
+ * Pick the exit code for a finished run from its reporter summary.
+ * Permission problems (a refused kill, or a port held by a process this user may not inspect)
+ * win over other failures; "nothing found" only fails in strict mode.
+ */
+function exitCodeFor(summary, { strict = false, invalidInput = false } = {}) {
+  if (invalidInput) {
+    return EXIT_CODES.INVALID_INPUT;
+  }
+  if (summary.denied > 0 || summary.hidden > 0) {
+    return EXIT_CODES.PERMISSION_DENIED;
+  }
+  if (summary.failed > 0 || summary.unreleased > 0 || summary.errors > 0) {
+    return EXIT_CODES.PARTIAL_FAILURE;
+  }
+  if (strict && summary.notFound > 0) {
+    return EXIT_CODES.NOT_FOUND;
+  }
+  return EXIT_CODES.OK;
+}
+
+export { EXIT_CODES, exitCodeFor, isPermissionError };
@@ -0,0 +1,95 @@
+const PROTOCOLS = ['tcp', 'udp'];
+const STATES = ['listen', 'established', 'any'];
+const WILDCARD_ADDRESSES = new Set(['', '*', '0.0.0.0', '::']);
+const HOST_ALIASES = { localhost: ['127.0.0.1', '::1'] };
+
+/**
+ * Canonicalize an address for comparison: no brackets, zone IDs or IPv4-mapped prefix
+ */
+function normalizeAddress(address) {
+  return String(address)
+    .toLowerCase()
+    .replace(/^\[(.*)\]$/, '$1')
+    .replace(/%.*$/, '')
+    .replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/, '$1');
+}
+
+/**
+ * Validate socket filter options and fill in defaults. Throws on invalid values.
+ *
+ *   protocol  'tcp' | 'udp'            (default: both)
+ *   family    4 | 6                    (default: both)
+ *   host      bind address to match    (wildcard binds always match)
+ *   state     'listen' | 'established' | 'any'  (default: 'listen')
+ */
+function normalizeFilters(options = {}) {
+  const filters = { state: 'listen' };
+
+  if (options.protocol !== undefined) {
+    const protocol = String(options.protocol).toLowerCase();
+    if (!PROTOCOLS.includes(protocol)) {
+      throw new Error(`Invalid protocol ${options.protocol} (expected tcp or udp)`);
+    }
+    filters.protocol = protocol;
+  }
+
+  if (options.family !== undefined) {
+    const family = parseInt(String(options.family).replace(/^ipv/i, ''), 10);
+    if (family !== 4 && family !== 6) {
+      throw new Error(`Invalid address family ${options.family} (expected 4 or 6)`);
+    }
+    filters.family = family;
+  }
+
+  if (options.host !== undefined) {
+    if (typeof options.host !== 'string' || options.host === '') {
+      throw new Error('Invalid host (expected an address)');
+    }
+    filters.host = options.host;
+  }
+
+  if (options.state !== undefined) {
+    const state = String(options.state).toLowerCase();
+    if (!STATES.includes(state)) {
+      throw new Error(`Invalid state ${options.state} (expected listen, established or any)`);
+    }
+    filters.state = state;
+  }
+
+  return filters;
+}
+
+/**
+ * Check whether a socket is listening: TCP in LISTEN, or a UDP socket that is not connected
+ */
+function isListening(socket) {
+  return socket.protocol === 'udp' ? socket.state !== 'ESTABLISHED' : socket.state === 'LISTEN';
+}
+
+/**
+ * Check a socket from any backend against normalized filters
+ */
+function matchesFilters(socket, filters) {
+  if (filters.protocol && socket.protocol !== filters.protocol) {
+    return false;
+  }
+  if (filters.family && socket.family !== filters.family) {
+    return false;
+  }
+  if (filters.state === 'listen' && !isListening(socket)) {
+    return false;
+  }
+  if (filters.state === 'established' && socket.state !== 'ESTABLISHED') {
+    return false;
+  }
+  if (filters.host) {
+    const address = normalizeAddress(socket.address);
+    const wanted = HOST_ALIASES[filters.host.toLowerCase()] || [normalizeAddress(filters.host)];
+    if (!WILDCARD_ADDRESSES.has(address) && !wanted.includes(address)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+export { isListening, matchesFilters, normalizeAddress, normalizeFilters };
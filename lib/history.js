@@ -0,0 +1,110 @@
+import { spawn } from 'child_process';
+import { appendFileSync, existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { homedir } from 'os';
+import { dirname, isAbsolute, join } from 'path';
+
+// Once the file holds this many entries, the oldest are dropped
+const MAX_ENTRIES = 1000;
+
+// Records hold command lines and working directories, so only their owner may read them
+const FILE_MODE = 0o600;
+
+/**
+ * Where kills are recorded: $XDG_STATE_HOME/portclean/history.jsonl (~/.local/state when unset),
+ * or %LOCALAPPDATA%\portclean\history.jsonl on Windows
+ */
+function historyFile(env = process.env, platform = process.platform) {
+  let base = join(homedir(), '.local', 'state');
+  if (platform === 'win32') {
+    base = env.LOCALAPPDATA || join(homedir(), 'AppData', 'Local');
+  } else if (env.XDG_STATE_HOME && isAbsolute(env.XDG_STATE_HOME)) {
+    // The XDG spec says relative paths are invalid and must be ignored
+    base = env.XDG_STATE_HOME;
+  }
+  return join(base, 'portclean', 'history.jsonl');
+}
+
+/**
+ * Read the recorded kills, oldest first. A missing file is an empty history; unreadable lines are skipped.
+ */
+function readHistory(file = historyFile()) {
+  let content;
+  try {
+    content = readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const entries = [];
+  for (const line of content.split('\n')) {
+    try {
+      const entry = JSON.parse(line);
+      if (entry && Number.isInteger(entry.id)) {
+        entries.push(entry);
+      }
+    } catch {
+      // ignore blank and partially written lines
+    }
+  }
+  return entries;
+}
+
+/**
+ * Append a kill to the history and return it with its `id` and `time`. The record holds
+ * `{ port, pid, command, cmdline, argv, cwd, user, signal, outcome, escalated }`.
+ * The file is read again every time, as other portclean runs may have appended to it.
+ * Throws when the file cannot be written.
+ */
+function recordKill(record, file = historyFile()) {
+  const entries = readHistory(file);
+  if (entries.length >= MAX_ENTRIES) {
+    const kept = entries.slice(entries.length - MAX_ENTRIES + 1);
+    writeFileSync(file, kept.map((entry) => `${JSON.stringify(entry)}\n`).join(''), { mode: FILE_MODE });
+  }
+
+  const id = entries.length > 0 ? entries[entries.length - 1].id + 1 : 1;
+  const entry = { id, time: new Date().toISOString(), ...record };
+  mkdirSync(dirname(file), { recursive: true });
+  appendFileSync(file, `${JSON.stringify(entry)}\n`, { mode: FILE_MODE });
+  return entry;
+}
+
+/**
+ * Start a killed process again from its recorded argv and cwd, detached from portclean and with
+ * portclean's environment. Resolves to the new PID. Rejects (with code EINVALID) when the entry was
+ * not a successful kill, has no argv or its cwd is gone, and when the program cannot be started.
+ */
+function restartProcess(entry) {
+  const invalid = (message) => Promise.reject(Object.assign(new Error(message), { code: 'EINVALID' }));
+  if (entry.outcome !== 'killed') {
+    return invalid(`PID ${entry.pid} was not killed (${entry.outcome}), so there is nothing to restart`);
+  }
+  if (!Array.isArray(entry.argv) || entry.argv.length === 0) {
+    return invalid(`No command line was recorded for PID ${entry.pid} (${entry.command})`);
+  }
+  if (entry.cwd && !existsSync(entry.cwd)) {
+    return invalid(`The working directory ${entry.cwd} no longer exists`);
+  }
+
+  const [file, ...args] = entry.argv;
+  return new Promise((resolve, reject) => {
+    const child = spawn(file, args, {
+      cwd: entry.cwd || undefined,
+      detached: true,
+      stdio: 'ignore',
+      windowsHide: true,
+    });
+    // Without a PID the program could not be started, and an 'error' event follows
+    if (child.pid === undefined) {
+      child.once('error', reject);
+      return;
+    }
+    child.unref();
+    resolve(child.pid);
+  });
+}
+
+export { MAX_ENTRIES, historyFile, readHistory, recordKill, restartProcess };
@@ -0,0 +1,163 @@
+import { execSync } from 'child_process';
+import { readFileSync } from 'fs';
+import { constants } from 'os';
+import { kill } from 'process';
+
+const PLATFORM = process.platform;
+const DEFAULT_SIGNAL = 'SIGTERM';
+const DEFAULT_TIMEOUT = 5000;
+const POLL_INTERVAL = 100;
+const KILL_CONFIRM_TIMEOUT = 1000;
+
+// Why a kill failed, by error code; anything else is 'error'
+const FAILURE_REASONS = {
+  EPERM: 'permission',
+  EACCES: 'permission',
+  ESRCH: 'gone',
+  ETIMEDOUT: 'timeout',
+};
+
+/**
+ * Normalize a signal name or number (e.g. "term", "SIGINT", "9") to its SIG* name
+ */
+function normalizeSignal(signal) {
+  if (signal === undefined || signal === true || signal === '') {
+    return DEFAULT_SIGNAL;
+  }
+
+  const value = String(signal).trim().toUpperCase();
+  if (/^\d+$/.test(value)) {
+    const number = parseInt(value, 10);
+    const name = Object.keys(constants.signals).find((key) => constants.signals[key] === number);
+    if (name) {
+      return name;
+    }
+  } else {
+    const name = value.startsWith('SIG') ? value : `SIG${value}`;
+    if (name in constants.signals) {
+      return name;
+    }
+  }
+
+  throw new Error(`Unknown signal ${signal}`);
+}
+
+/**
+ * Check whether a process is still alive (zombies count as gone)
+ */
+function isRunning(pid) {
+  try {
+    kill(pid, 0);
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+
+  if (PLATFORM === 'linux') {
+    try {
+      const stat = readFileSync(`/proc/${pid}/stat`, 'utf8');
+      const state = stat.slice(stat.lastIndexOf(')') + 2).charAt(0);
+      return state !== 'Z';
+    } catch {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Poll until a process exits or the timeout expires
+ */
+async function waitForExit(pid, timeout) {
+  const deadline = Date.now() + timeout;
+  while (isRunning(pid)) {
+    if (Date.now() >= deadline) {
+      return false;
+    }
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+  }
+  return true;
+}
+
+/**
+ * Send a single signal to a process
+ */
+function sendSignal(pid, signal) {
+  if (PLATFORM === 'win32') {
+    // taskkill without /F asks the process to close; /F terminates it
+    const forceFlag = signal === 'SIGKILL' ? ' /F' : '';
+    try {
+      execSync(`taskkill /PID ${pid}${forceFlag}`, { encoding: 'utf8', stdio: 'pipe' });
+    } catch (error) {
+      // Give taskkill's failures the same codes process.kill uses elsewhere
+      const stderr = String(error.stderr || '');
+      if (/access is denied/i.test(stderr)) {
+        error.code = 'EACCES';
+      } else if (/not found/i.test(stderr)) {
+        error.code = 'ESRCH';
+      }
+      throw error;
+    }
+  } else {
+    kill(pid, signal);
+  }
+}
+
+/**
+ * Create an error for a process that outlived its signals
+ */
+function timeoutError(message) {
+  const error = new Error(message);
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+/**
+ * Classify a kill failure: 'permission' (another user's process), 'gone' (it had already exited),
+ * 'timeout' (it survived every signal) or 'error'
+ */
+function classifyKillError(error) {
+  return FAILURE_REASONS[error.code] || 'error';
+}
+
+/**
+ * Kill a process, escalating to SIGKILL if it outlives the grace period. A signal that is not
+ * permitted fails at once: retrying with SIGKILL would be refused just the same.
+ * Never throws; failures are reported through the result's `error` and `reason` fields.
+ */
+async function killProcess(pid, command, options = {}) {
+  const signal = options.signal || DEFAULT_SIGNAL;
+  const timeout = options.timeout ?? DEFAULT_TIMEOUT;
+
+  try {
+    let usedSignal = signal;
+    let exited = false;
+    try {
+      sendSignal(pid, signal);
+      exited = await waitForExit(pid, signal === 'SIGKILL' ? KILL_CONFIRM_TIMEOUT : timeout);
+    } catch (error) {
+      // Console programs refuse taskkill without /F ("can only be terminated forcefully"), so
+      // escalate right away; permission and already-gone failures would fail with /F too
+      if (PLATFORM !== 'win32' || signal === 'SIGKILL' || classifyKillError(error) !== 'error') {
+        throw error;
+      }
+    }
+
+    if (!exited) {
+      if (signal === 'SIGKILL') {
+        throw timeoutError('process did not exit after SIGKILL');
+      }
+      usedSignal = 'SIGKILL';
+      sendSignal(pid, 'SIGKILL');
+      if (!(await waitForExit(pid, KILL_CONFIRM_TIMEOUT))) {
+        throw timeoutError(`process did not exit after ${signal} and SIGKILL`);
+      }
+    }
+
+    return { pid, command, killed: true, signal: usedSignal, escalated: usedSignal !== signal };
+  } catch (error) {
+    return { pid, command, killed: false, reason: classifyKillError(error), error };
+  }
+}
+
+export { DEFAULT_SIGNAL, DEFAULT_TIMEOUT, classifyKillError, normalizeSignal, isRunning, killProcess };
@@ -0,0 +1,211 @@
+/**
+ * Split "host:port", "[v6]:port" or "*:port" into address and port
+ */
+function splitAddress(value) {
+  const index = value.lastIndexOf(':');
+  let address = value.slice(0, index);
+  if (address.startsWith('[') && address.endsWith(']')) {
+    address = address.slice(1, -1);
+  }
+  return { address, port: parseInt(value.slice(index + 1), 10) };
+}
+
+/**
+ * Parse lsof output into one entry per socket (local address only)
+ */
+function parseLsofSockets(output) {
+  const lines = output.trim().split('\n').slice(1);
+  const sockets = [];
+
+  for (const line of lines) {
+    const parts = line.trim().split(/\s+/);
+    const protoIndex = parts.findIndex((part, idx) => idx > 3 && /^(TCP|UDP)$/.test(part));
+    const pid = parseInt(parts[1], 10);
+
+    if (protoIndex === -1 || !parts[protoIndex + 1] || isNaN(pid) || pid <= 0) {
+      continue;
+    }
+
+    const [local] = parts[protoIndex + 1].split('->');
+    const { address, port } = splitAddress(local);
+    const state = (parts[protoIndex + 2] || '').replace(/[()]/g, '');
+
+    sockets.push({
+      protocol: parts[protoIndex].toLowerCase(),
+      family: parts[4] === 'IPv6' ? 6 : 4,
+      address,
+      port,
+      state,
+      pid,
+      // lsof escapes spaces and other special characters in command names as \xNN
+      command: parts[0].replace(/\\x([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))),
+    });
+  }
+
+  return sockets;
+}
+
+/**
+ * Parse Linux `netstat -anp` output into one entry per socket with a known PID
+ */
+function parseNetstatSockets(output) {
+  const lines = output.trim().split('\n');
+  const sockets = [];
+
+  for (const line of lines) {
+    const parts = line.trim().split(/\s+/);
+    const protocol = parts[0].replace(/6$/, '');
+    if ((protocol !== 'tcp' && protocol !== 'udp') || parts.length < 6) {
+      continue;
+    }
+
+    // UDP sockets may have an empty State column
+    const hasState = parts.length >= 7;
+    const state = hasState ? parts[5] : '';
+    const match = parts[hasState ? 6 : 5].match(/^(\d+)\/(.*)$/);
+    if (!match) {
+      continue;
+    }
+
+    const { address, port } = splitAddress(parts[3]);
+    sockets.push({
+      protocol,
+      family: parts[0].endsWith('6') ? 6 : 4,
+      address,
+      port,
+      state,
+      pid: parseInt(match[1], 10),
+      command: match[2] || 'unknown',
+    });
+  }
+
+  return sockets;
+}
+
+// ss prints states in its own spelling; the rest only swap '-' for '_' (FIN-WAIT-1 -> FIN_WAIT1)
+const SS_STATES = { ESTAB: 'ESTABLISHED', UNCONN: '', 'FIN-WAIT-1': 'FIN_WAIT1', 'FIN-WAIT-2': 'FIN_WAIT2' };
+
+/**
+ * Parse Linux `ss -tulpnH` (or `-tuapnH`) output into one entry per socket and owning process.
+ * A socket shared by several processes lists each one in `users:(("name",pid=..,fd=..),...)`.
+ * Sockets without a users column belong to processes ss was not allowed to inspect and are skipped.
+ */
+function parseSsSockets(output) {
+  const sockets = [];
+
+  for (const line of output.trim().split('\n')) {
+    const parts = line.trim().split(/\s+/);
+    const protocol = parts[0];
+    if ((protocol !== 'tcp' && protocol !== 'udp') || parts.length < 6) {
+      continue;
+    }
+
+    const { address: bound, port } = splitAddress(parts[4]);
+    // Interface scopes ("127.0.0.53%lo") are not part of the address
+    const address = bound.replace(/%.*$/, '');
+    const state = parts[1] in SS_STATES ? SS_STATES[parts[1]] : parts[1].replace(/-/g, '_');
+    const seen = new Set();
+
+    for (const [, command, pid] of line.matchAll(/\("((?:[^"\\]|\\.)*)",pid=(\d+),fd=\d+\)/g)) {
+      if (seen.has(pid)) {
+        continue;
+      }
+      seen.add(pid);
+      sockets.push({
+        protocol,
+        // ss shows a dual-stack IPv6 wildcard as "*"
+        family: address.includes(':') || address === '*' ? 6 : 4,
+        address,
+        port,
+        state,
+        pid: parseInt(pid, 10),
+        command,
+      });
+    }
+  }
+
+  return sockets;
+}
+
+/**
+ * Parse Windows `netstat -ano` output into one entry per socket
+ */
+function parseWindowsNetstatSockets(output) {
+  const lines = output.trim().split('\n');
+  const sockets = [];
+
+  for (const line of lines) {
+    const parts = line.trim().split(/\s+/);
+    const protocol = parts[0].toLowerCase();
+    if ((protocol !== 'tcp' && protocol !== 'udp') || parts.length < 4) {
+      continue;
+    }
+
+    // UDP rows have no State column
+    const state = protocol === 'tcp' ? parts[3] : '';
+    const pid = parseInt(parts[parts.length - 1], 10);
+    if (isNaN(pid) || pid <= 0) {
+      continue;
+    }
+
+    const { address, port } = splitAddress(parts[1]);
+    sockets.push({
+      protocol,
+      family: address.includes(':') ? 6 : 4,
+      address,
+      port,
+      state: state === 'LISTENING' ? 'LISTEN' : state,
+      pid,
+    });
+  }
+
+  return sockets;
+}
+
+/**
+ * Parse `fuser -n <protocol> <port>` output (the PIDs on stdout) into one entry per PID.
+ * fuser knows nothing about addresses or states, so those fields stay empty.
+ */
+function parseFuserOutput(output, protocol, port) {
+  const pids = (output.match(/\d+/g) || []).map((pid) => parseInt(pid, 10)).filter((pid) => pid > 0);
+
+  return Array.from(new Set(pids)).map((pid) => ({ protocol, address: '', port, state: '', pid }));
+}
+
+/**
+ * Parse the `protocol|address|port|state|pid|name` lines printed by the PowerShell backend
+ * (Get-NetTCPConnection and Get-NetUDPEndpoint). States such as "TimeWait" become "TIME_WAIT".
+ */
+function parsePowerShellSockets(output) {
+  const sockets = [];
+
+  for (const line of output.trim().split('\n')) {
+    const [protocol, address = '', port, state = '', pidField, name] = line.trim().split('|');
+    const pid = parseInt(pidField, 10);
+    if ((protocol !== 'tcp' && protocol !== 'udp') || isNaN(pid) || pid <= 0) {
+      continue;
+    }
+
+    sockets.push({
+      protocol,
+      family: address.includes(':') ? 6 : 4,
+      address,
+      port: parseInt(port, 10),
+      state: state.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase(),
+      pid,
+      command: name || 'unknown',
+    });
+  }
+
+  return sockets;
+}
+
+export {
+  parseFuserOutput,
+  parseLsofSockets,
+  parseNetstatSockets,
+  parsePowerShellSockets,
+  parseSsSockets,
+  parseWindowsNetstatSockets,
+  splitAddress,
+};
@@ -0,0 +1,112 @@
+import colors from 'picocolors';
+import * as readline from 'readline';
+
+/**
+ * Initial picker state: every item checked, cursor on the first one
+ */
+function createPickerState(count) {
+  return { cursor: 0, checked: new Array(count).fill(true), done: false, cancelled: false };
+}
+
+/**
+ * Apply one keypress (as emitted by readline.emitKeypressEvents) to the picker state
+ */
+function applyKey(state, key = {}) {
+  const count = state.checked.length;
+  const next = { ...state, checked: [...state.checked] };
+
+  switch (key.name) {
+    case 'up':
+    case 'k':
+      next.cursor = (state.cursor - 1 + count) % count;
+      break;
+    case 'down':
+    case 'j':
+      next.cursor = (state.cursor + 1) % count;
+      break;
+    case 'space':
+      next.checked[state.cursor] = !state.checked[state.cursor];
+      break;
+    case 'a': {
+      const all = state.checked.every(Boolean);
+      next.checked.fill(!all);
+      break;
+    }
+    case 'return':
+    case 'enter':
+      next.done = true;
+      break;
+    case 'escape':
+    case 'q':
+      next.done = true;
+      next.cancelled = true;
+      break;
+    case 'c':
+      if (key.ctrl) {
+        next.done = true;
+        next.cancelled = true;
+        next.interrupted = true;
+      }
+      break;
+  }
+
+  return next;
+}
+
+/**
+ * Render the checklist as lines of text
+ */
+function renderPicker(title, labels, state) {
+  const lines = [colors.bold(title), colors.dim('↑/↓ move · space toggle · a all · enter confirm · esc cancel')];
+  labels.forEach((label, idx) => {
+    const pointer = idx === state.cursor ? colors.cyan('❯') : ' ';
+    const box = state.checked[idx] ? colors.green('[x]') : '[ ]';
+    lines.push(`${pointer} ${box} ${label}`);
+  });
+  return lines;
+}
+
+/**
+ * Show a keyboard-driven checklist on a TTY and resolve the indexes of the checked items
+ * (empty when cancelled). Ctrl+C cancels and then interrupts the process as usual.
+ */
+function pickItems(title, labels, { input = process.stdin, output = process.stdout } = {}) {
+  return new Promise((resolve) => {
+    let state = createPickerState(labels.length);
+    let drawn = 0;
+
+    const draw = () => {
+      if (drawn > 0) {
+        readline.moveCursor(output, 0, -drawn);
+        readline.clearScreenDown(output);
+      }
+      const lines = renderPicker(title, labels, state);
+      output.write(`${lines.join('\n')}\n`);
+      drawn = lines.length;
+    };
+
+    const onKeypress = (_text, key) => {
+      state = applyKey(state, key);
+      if (!state.done) {
+        draw();
+        return;
+      }
+
+      input.removeListener('keypress', onKeypress);
+      input.setRawMode(false);
+      input.pause();
+      resolve(state.cancelled ? [] : state.checked.flatMap((checked, idx) => (checked ? [idx] : [])));
+      if (state.interrupted) {
+        process.kill(process.pid, 'SIGINT');
+      }
+    };
+
+    readline.emitKeypressEvents(input);
+    input.setRawMode(true);
+    input.resume();
+    input.on('keypress', onKeypress);
+    draw();
+  });
+}
+
+export { applyKey, createPickerState, pickItems, renderPicker };
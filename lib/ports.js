@@ -0,0 +1,158 @@
+const MAX_PORT = 65535;
+const PROTOCOLS = ['tcp', 'udp'];
+
+// Well-known ports that can be given by name; user aliases (config "aliases") are added to these
+const PORT_ALIASES = {
+  http: '80',
+  https: '443',
+  mysql: '3306',
+  postgres: '5432',
+  redis: '6379',
+  mongodb: '27017',
+  next: '3000',
+  vite: '5173',
+  storybook: '6006',
+};
+
+const ALIAS_NAME = /^[a-z][a-z0-9_.-]*$/i;
+
+/**
+ * Parse a port (`3000`) or an inclusive range (`3000-3010`) into port numbers.
+ * Returns `{ ports }`, or `{ what, why }` describing the problem.
+ */
+function parseTarget(target) {
+  const range = target.match(/^(\d+)\s*-\s*(\d+)$/);
+  if (range) {
+    const start = parseInt(range[1], 10);
+    const end = parseInt(range[2], 10);
+    if (start < 1 || end > MAX_PORT) {
+      return { what: `Invalid port range ${target}`, why: `ports go from 1 to ${MAX_PORT}` };
+    }
+    if (start > end) {
+      return { what: `Invalid port range ${target}`, why: `${start} is after ${end}` };
+    }
+    return { ports: Array.from({ length: end - start + 1 }, (_, idx) => start + idx) };
+  }
+
+  if (/^\d+$/.test(target)) {
+    const port = parseInt(target, 10);
+    if (port < 1 || port > MAX_PORT) {
+      return { what: `Invalid port ${target}`, why: `ports go from 1 to ${MAX_PORT}` };
+    }
+    return { ports: [port] };
+  }
+
+  if (target.includes('-') && /\d/.test(target)) {
+    return { what: `Invalid port range ${target}`, why: 'expected two ports, e.g. 3000-3010' };
+  }
+  return { what: `Invalid port ${target}`, why: 'not a number, a range or a known alias' };
+}
+
+/**
+ * Parse one comma-separated token, `[!]target[/tcp|/udp]`, where the target is a port, a range
+ * or an alias. Returns `{ exclude, entries: [{ ports, protocol }] }` or `{ what, why }`.
+ */
+function parseToken(token, aliases) {
+  if (token === '') {
+    return { what: 'Empty port entry' };
+  }
+
+  const exclude = token.startsWith('!');
+  let target = exclude ? token.slice(1).trim() : token;
+  let protocol = null;
+  const slash = target.indexOf('/');
+  if (slash !== -1) {
+    protocol = target.slice(slash + 1).trim().toLowerCase();
+    target = target.slice(0, slash).trim();
+    if (!PROTOCOLS.includes(protocol)) {
+      const given = token.slice(token.indexOf('/') + 1);
+      return { what: `Invalid protocol ${given} in ${token}`, why: 'expected tcp or udp' };
+    }
+  }
+
+  const name = target.toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(aliases, name)) {
+    const parsed = parseTarget(target);
+    return parsed.ports ? { exclude, entries: [{ ports: parsed.ports, protocol }] } : parsed;
+  }
+
+  // An alias stands for ports, ranges and protocols of its own; a suffix on the alias wins
+  const entries = [];
+  for (const part of String(aliases[name]).split(',')) {
+    const parsed = parseToken(part.trim(), {});
+    if (!parsed.entries || parsed.exclude) {
+      return { what: `Invalid alias ${target}`, why: parsed.what || 'aliases cannot exclude ports' };
+    }
+    parsed.entries.forEach((entry) => entries.push({ ...entry, protocol: protocol || entry.protocol }));
+  }
+  return { exclude, entries };
+}
+
+/**
+ * Parse port arguments. Each input is a comma-separated list of ports (`3000`), ranges (`3000-3010`)
+ * and aliases (`postgres`, or names from `options.aliases`), each optionally limited to one protocol
+ * (`53/udp`). Entries starting with `!` take ports (or one protocol of them) out of the selection,
+ * wherever they appear.
+ *
+ * Returns `{ ports, protocols, errors }`: the selected ports in order, `protocols` mapping each port
+ * limited to a single protocol to 'tcp' or 'udp', and one error per invalid entry naming that entry
+ * and the input it came from.
+ */
+function parsePorts(inputs, options = {}) {
+  // Without a prototype, names like `constructor` are not aliases
+  const aliases = Object.assign(Object.create(null), PORT_ALIASES);
+  for (const [name, value] of Object.entries(options.aliases || {})) {
+    aliases[name.toLowerCase()] = value;
+  }
+
+  const included = [];
+  const excluded = [];
+  const errors = [];
+
+  for (const input of inputs) {
+    if (typeof input !== 'string') {
+      errors.push(`Invalid port input: ${input}`);
+      continue;
+    }
+
+    for (const token of input.split(',').map((part) => part.trim())) {
+      const parsed = parseToken(token, aliases);
+      if (!parsed.entries) {
+        const where = token === input.trim() ? '' : ` in ${input}`;
+        errors.push(`Error: ${parsed.what}${where}${parsed.why ? ` (${parsed.why})` : ''}`);
+        continue;
+      }
+      (parsed.exclude ? excluded : included).push(...parsed.entries);
+    }
+  }
+
+  // Which protocols each selected port is wanted for
+  const selected = new Map();
+  for (const { ports, protocol } of included) {
+    for (const port of ports) {
+      const wanted = selected.get(port) || new Set();
+      (protocol ? [protocol] : PROTOCOLS).forEach((name) => wanted.add(name));
+      selected.set(port, wanted);
+    }
+  }
+  for (const { ports, protocol } of excluded) {
+    for (const port of ports.filter((p) => selected.has(p))) {
+      const wanted = selected.get(port);
+      (protocol ? [protocol] : PROTOCOLS).forEach((name) => wanted.delete(name));
+      if (wanted.size === 0) {
+        selected.delete(port);
+      }
+    }
+  }
+
+  const protocols = {};
+  for (const [port, wanted] of selected) {
+    if (wanted.size === 1) {
+      protocols[port] = Array.from(wanted)[0];
+    }
+  }
+
+  return { ports: Array.from(selected.keys()), protocols, errors };
+}
+
+export { ALIAS_NAME, PORT_ALIASES, parsePorts };
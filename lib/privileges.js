@@ -0,0 +1,64 @@
+import { execFileSync, spawnSync } from 'child_process';
+import { findExecutable } from './backends.js';
+
+const PLATFORM = process.platform;
+
+let elevated;
+
+/**
+ * Check whether portclean runs as root (or, on Windows, from an elevated prompt)
+ */
+function isElevated() {
+  if (elevated === undefined) {
+    if (PLATFORM === 'win32') {
+      // `net session` is only allowed for administrators
+      try {
+        execFileSync('net', ['session'], { stdio: 'ignore', windowsHide: true });
+        elevated = true;
+      } catch {
+        elevated = false;
+      }
+    } else {
+      elevated = typeof process.getuid === 'function' && process.getuid() === 0;
+    }
+  }
+  return elevated;
+}
+
+/**
+ * Explain how to get the permissions needed for other users' processes on this platform
+ */
+function elevationHint(platform = PLATFORM) {
+  return platform === 'win32'
+    ? 'run portclean from an elevated prompt (Run as administrator)'
+    : 're-run with --sudo (or as root)';
+}
+
+/**
+ * The command that re-runs portclean's `script` under sudo with the same arguments, minus --sudo.
+ * A command after `--` is never passed on: it must not be started as root.
+ */
+function sudoCommand(script, args) {
+  const end = args.indexOf('--');
+  const own = end === -1 ? args : args.slice(0, end);
+  const forwarded = own.filter((arg) => arg !== '--sudo');
+  return { file: 'sudo', args: ['--', process.execPath, ...process.execArgv, script, ...forwarded] };
+}
+
+/**
+ * Re-run portclean under sudo, sharing this terminal, and return its exit code.
+ * Throws an error with code ENOENT when sudo is not installed.
+ */
+function rerunWithSudo(script, args) {
+  if (!findExecutable('sudo')) {
+    throw Object.assign(new Error('sudo is not installed; run portclean as root instead'), { code: 'ENOENT' });
+  }
+  const command = sudoCommand(script, args);
+  const result = spawnSync(command.file, command.args, { stdio: 'inherit' });
+  if (result.error) {
+    throw result.error;
+  }
+  return result.status === null ? 1 : result.status;
+}
+
+export { elevationHint, isElevated, rerunWithSudo, sudoCommand };
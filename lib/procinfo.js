@@ -0,0 +1,346 @@
+import { execFileSync, execSync } from 'child_process';
+import { readFileSync, readlinkSync } from 'fs';
+import { homedir } from 'os';
+import { sep } from 'path';
+
+const PLATFORM = process.platform;
+
+// Suppress stderr from system commands to avoid leaking raw tool logs
+const QUIET_EXEC_OPTS = { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], windowsHide: true };
+
+let procClock;
+
+/**
+ * Resolve a numeric uid to a user name via /etc/passwd
+ */
+function userName(uid) {
+  try {
+    const passwd = readFileSync('/etc/passwd', 'utf8');
+    for (const line of passwd.split('\n')) {
+      const fields = line.split(':');
+      if (fields.length > 2 && parseInt(fields[2], 10) === uid) {
+        return fields[0];
+      }
+    }
+  } catch {
+    // ignore
+  }
+  return `uid ${uid}`;
+}
+
+/**
+ * What is known about a process when nothing could be read
+ */
+function emptyInfo() {
+  return { user: '', cmdline: '', argv: [], cwd: '', ppid: null, rss: null, startTime: null, uptime: null };
+}
+
+/**
+ * Split a command line into arguments, keeping double-quoted parts together. Used where the OS
+ * only reports a joined command line (macOS, Windows), so arguments with spaces may be split.
+ */
+function splitCommandLine(cmdline) {
+  return (cmdline.match(/(?:[^\s"]+|"[^"]*")+/g) || []).map((arg) => arg.replace(/"/g, ''));
+}
+
+/**
+ * Fill in `uptime` (milliseconds) from a start time
+ */
+function withUptime(info, started) {
+  if (!started || isNaN(started.getTime())) {
+    return info;
+  }
+  return { ...info, startTime: started.toISOString(), uptime: Math.max(0, Date.now() - started.getTime()) };
+}
+
+/**
+ * Parse /proc/<pid>/stat into the parent PID and the start time in clock ticks after boot.
+ * The command name is in parentheses and may itself contain spaces or parentheses.
+ */
+function parseProcStat(content) {
+  const fields = content.slice(content.lastIndexOf(')') + 2).split(' ');
+  return { ppid: parseInt(fields[1], 10), startTicks: parseInt(fields[19], 10) };
+}
+
+/**
+ * Boot time (ms since the epoch) and clock ticks per second, read once
+ */
+function getProcClock() {
+  if (!procClock) {
+    const btime = readFileSync('/proc/stat', 'utf8').match(/^btime\s+(\d+)/m);
+    let ticks = 100;
+    try {
+      ticks = parseInt(execSync('getconf CLK_TCK', QUIET_EXEC_OPTS), 10) || ticks;
+    } catch {
+      // 100 on every mainstream Linux architecture
+    }
+    procClock = { bootTime: btime ? parseInt(btime[1], 10) * 1000 : null, ticks };
+  }
+  return procClock;
+}
+
+/**
+ * Read a Linux process's metadata from /proc
+ */
+function getProcessInfoLinux(pid) {
+  let info = emptyInfo();
+  try {
+    const status = readFileSync(`/proc/${pid}/status`, 'utf8');
+    const argv = readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0').filter(Boolean);
+    const rss = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+    info = {
+      ...info,
+      user: userName(parseInt(status.match(/^Uid:\s+(\d+)/m)[1], 10)),
+      cmdline: argv.join(' '),
+      argv,
+      ppid: parseInt(status.match(/^PPid:\s+(\d+)/m)[1], 10),
+      rss: rss ? parseInt(rss[1], 10) * 1024 : null,
+    };
+  } catch {
+    return info;
+  }
+
+  try {
+    info.cwd = readlinkSync(`/proc/${pid}/cwd`);
+  } catch {
+    // another user's process
+  }
+
+  try {
+    const { startTicks } = parseProcStat(readFileSync(`/proc/${pid}/stat`, 'utf8'));
+    const { bootTime, ticks } = getProcClock();
+    if (bootTime !== null) {
+      info = withUptime(info, new Date(bootTime + (startTicks / ticks) * 1000));
+    }
+  } catch {
+    // ignore
+  }
+
+  return info;
+}
+
+// pid, user, ppid, rss, lstart ("Mon Oct 19 10:00:00 2026") and args
+const PS_INFO_LINE = /^(\d+)\s+(\S+)\s+(\d+)\s+(\d+)\s+(\S+\s+\S+\s+\d+\s+[\d:]+\s+\d+)\s+(.*)$/;
+
+/**
+ * Parse `ps -o pid=,user=,ppid=,rss=,lstart=,args=` output (macOS, with LC_ALL=C) by PID.
+ * `lstart` is five words, e.g. "Mon Oct 19 10:00:00 2026"; `rss` is in kilobytes.
+ */
+function parsePsInfo(output) {
+  const infos = new Map();
+
+  for (const line of output.split('\n')) {
+    const match = line.trim().match(PS_INFO_LINE);
+    if (!match) {
+      continue;
+    }
+    const cmdline = match[6];
+    const info = {
+      ...emptyInfo(),
+      user: match[2],
+      cmdline,
+      argv: splitCommandLine(cmdline),
+      ppid: parseInt(match[3], 10),
+      rss: parseInt(match[4], 10) * 1024,
+    };
+    infos.set(parseInt(match[1], 10), withUptime(info, new Date(match[5])));
+  }
+
+  return infos;
+}
+
+/**
+ * Parse `lsof -a -d cwd -Fpn` output into working directories by PID
+ */
+function parseLsofCwd(output) {
+  const cwds = new Map();
+  let pid = null;
+
+  for (const line of output.split('\n')) {
+    if (line.startsWith('p')) {
+      pid = parseInt(line.slice(1), 10);
+    } else if (line.startsWith('n') && pid !== null) {
+      cwds.set(pid, line.slice(1));
+    }
+  }
+
+  return cwds;
+}
+
+/**
+ * Read macOS (and other BSD-like) process metadata with one ps call, plus lsof for working directories
+ */
+function getProcessesInfoPs(pids) {
+  let infos = new Map();
+  try {
+    const output = execFileSync('ps', ['-o', 'pid=,user=,ppid=,rss=,lstart=,args=', '-p', pids.join(',')], {
+      ...QUIET_EXEC_OPTS,
+      env: { ...process.env, LC_ALL: 'C' },
+    });
+    infos = parsePsInfo(output);
+  } catch (error) {
+    // ps exits 1 when one of the processes is gone, after printing the others
+    infos = parsePsInfo(String(error.stdout || ''));
+  }
+
+  try {
+    const output = execFileSync('lsof', ['-a', '-d', 'cwd', '-Fpn', '-p', pids.join(',')], QUIET_EXEC_OPTS);
+    for (const [pid, cwd] of parseLsofCwd(output)) {
+      if (infos.has(pid)) {
+        infos.get(pid).cwd = cwd;
+      }
+    }
+  } catch {
+    // lsof missing, or not allowed to see another user's processes
+  }
+
+  return infos;
+}
+
+/**
+ * Parse the `pid|ppid|workingSet|creationDate|owner|commandLine` lines printed for Windows.
+ * The command line comes last because it may itself contain '|'.
+ */
+function parseWindowsProcessInfo(output) {
+  const infos = new Map();
+
+  for (const line of output.split('\n')) {
+    const fields = line.trim().split('|');
+    const pid = parseInt(fields[0], 10);
+    if (fields.length < 6 || isNaN(pid)) {
+      continue;
+    }
+    const cmdline = fields.slice(5).join('|');
+    const info = {
+      ...emptyInfo(),
+      user: fields[4],
+      cmdline,
+      argv: splitCommandLine(cmdline),
+      ppid: parseInt(fields[1], 10),
+      rss: parseInt(fields[2], 10) || null,
+    };
+    infos.set(pid, withUptime(info, fields[3] ? new Date(fields[3]) : null));
+  }
+
+  return infos;
+}
+
+/**
+ * Read Windows process metadata with one PowerShell (CIM) call. Windows does not expose
+ * another process's working directory, so `cwd` stays empty.
+ */
+function getProcessesInfoWindows(pids) {
+  const filter = pids.map((pid) => `ProcessId=${pid}`).join(' OR ');
+  const script = [
+    "$ErrorActionPreference = 'SilentlyContinue';",
+    `Get-CimInstance Win32_Process -Filter "${filter}" | ForEach-Object {`,
+    '$owner = (Invoke-CimMethod -InputObject $_ -MethodName GetOwner).User;',
+    "$started = if ($_.CreationDate) { $_.CreationDate.ToUniversalTime().ToString('o') } else { '' };",
+    '"$($_.ProcessId)|$($_.ParentProcessId)|$($_.WorkingSetSize)|$started|$owner|$($_.CommandLine)" }',
+  ].join(' ');
+
+  try {
+    const args = ['-NoProfile', '-NonInteractive', '-Command', script];
+    const output = execFileSync('powershell', args, QUIET_EXEC_OPTS);
+    return parseWindowsProcessInfo(output);
+  } catch {
+    return new Map();
+  }
+}
+
+/**
+ * Get metadata for several processes at once, as a Map from PID to what getProcessInfo returns.
+ * Batches the lookups on macOS and Windows, where each one starts a process.
+ */
+function getProcessesInfo(pids) {
+  const unique = Array.from(new Set(pids));
+  let infos = new Map();
+
+  if (unique.length > 0) {
+    if (PLATFORM === 'linux') {
+      infos = new Map(unique.map((pid) => [pid, getProcessInfoLinux(pid)]));
+    } else if (PLATFORM === 'win32') {
+      infos = getProcessesInfoWindows(unique);
+    } else {
+      infos = getProcessesInfoPs(unique);
+    }
+  }
+
+  return new Map(unique.map((pid) => [pid, infos.get(pid) || emptyInfo()]));
+}
+
+/**
+ * Get a process's owner, command line (`cmdline`, and split into `argv`), working directory
+ * (`cwd`), parent PID (`ppid`), resident memory in bytes (`rss`), start time (`startTime`, ISO
+ * 8601) and `uptime` in milliseconds. Unknown values are '' (strings), [] or null.
+ */
+function getProcessInfo(pid) {
+  return getProcessesInfo([pid]).get(pid);
+}
+
+/**
+ * Format a duration in milliseconds as its two largest units, e.g. "2h 5m" or "45s"
+ */
+function formatDuration(ms) {
+  const units = [
+    ['d', 86400000],
+    ['h', 3600000],
+    ['m', 60000],
+    ['s', 1000],
+  ];
+  const parts = [];
+  let rest = ms;
+  for (const [unit, size] of units) {
+    if (rest >= size || (unit === 's' && parts.length === 0)) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+  }
+  return parts.slice(0, 2).join(' ');
+}
+
+/**
+ * Format a byte count, e.g. "143 MB"
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) {
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  }
+  if (bytes >= 1024 * 1024) {
+    return `${Math.round(bytes / 1024 / 1024)} MB`;
+  }
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Summarize a process's metadata in one line, e.g. "alice, up 2h 5m, 143 MB, in ~/app".
+ * Empty when nothing is known.
+ */
+function describeProcess(proc) {
+  const home = homedir();
+  const inHome = home && proc.cwd && (proc.cwd === home || proc.cwd.startsWith(`${home}${sep}`));
+  const cwd = inHome ? `~${proc.cwd.slice(home.length)}` : proc.cwd;
+
+  return [
+    proc.user,
+    proc.uptime !== null && proc.uptime !== undefined ? `up ${formatDuration(proc.uptime)}` : '',
+    proc.rss ? formatBytes(proc.rss) : '',
+    cwd ? `in ${cwd}` : '',
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+export {
+  describeProcess,
+  formatBytes,
+  formatDuration,
+  getProcessInfo,
+  getProcessesInfo,
+  parseLsofCwd,
+  parseProcStat,
+  parsePsInfo,
+  parseWindowsProcessInfo,
+  splitCommandLine,
+  userName,
+};
@@ -0,0 +1,274 @@
+import { existsSync, readFileSync, readdirSync, readlinkSync } from 'fs';
+import { isListening } from './filters.js';
+import { userName } from './procinfo.js';
+
+const PROC_ROOT = '/proc';
+
+// File name, protocol and address family of each /proc/net socket table
+const PROC_NET_TABLES = [
+  ['tcp', 'tcp', 4],
+  ['tcp6', 'tcp', 6],
+  ['udp', 'udp', 4],
+  ['udp6', 'udp', 6],
+];
+
+// Kernel socket states (include/net/tcp_states.h)
+const SOCKET_STATES = {
+  '01': 'ESTABLISHED',
+  '02': 'SYN_SENT',
+  '03': 'SYN_RECV',
+  '04': 'FIN_WAIT1',
+  '05': 'FIN_WAIT2',
+  '06': 'TIME_WAIT',
+  '07': 'CLOSE',
+  '08': 'CLOSE_WAIT',
+  '09': 'LAST_ACK',
+  '0A': 'LISTEN',
+  '0B': 'CLOSING',
+};
+
+/**
+ * Check whether the /proc socket tables can be read on this machine
+ */
+function isProcNetAvailable(root = PROC_ROOT) {
+  return existsSync(`${root}/net/tcp`);
+}
+
+/**
+ * Decode a hex "ADDR:PORT" pair from /proc/net into a printable address and port.
+ * The kernel prints each 32-bit word of the address in host (little-endian) byte order.
+ */
+function decodeProcAddress(hex) {
+  const [addrHex, portHex] = hex.split(':');
+  const port = parseInt(portHex, 16);
+
+  const bytes = [];
+  for (let i = 0; i < addrHex.length; i += 8) {
+    const word = addrHex.slice(i, i + 8);
+    for (let j = 6; j >= 0; j -= 2) {
+      bytes.push(parseInt(word.slice(j, j + 2), 16));
+    }
+  }
+
+  if (bytes.length === 4) {
+    return { address: bytes.join('.'), port };
+  }
+
+  const groups = [];
+  for (let i = 0; i < bytes.length; i += 2) {
+    groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+  }
+
+  return { address: compressIPv6(groups), port };
+}
+
+/**
+ * Collapse the longest run of zero groups in an IPv6 address into "::"
+ */
+function compressIPv6(groups) {
+  let bestStart = -1;
+  let bestLength = 0;
+
+  for (let i = 0; i < groups.length; i++) {
+    if (groups[i] !== '0') {
+      continue;
+    }
+    let length = 0;
+    while (groups[i + length] === '0') {
+      length++;
+    }
+    if (length > bestLength) {
+      bestStart = i;
+      bestLength = length;
+    }
+    i += length;
+  }
+
+  if (bestLength < 2) {
+    return groups.join(':');
+  }
+
+  const head = groups.slice(0, bestStart).join(':');
+  const tail = groups.slice(bestStart + bestLength).join(':');
+  return `${head}::${tail}`;
+}
+
+/**
+ * Parse one /proc/net/{tcp,tcp6,udp,udp6} table
+ */
+function parseProcNetTable(content, protocol, family) {
+  const lines = content.trim().split('\n').slice(1);
+  const sockets = [];
+
+  for (const line of lines) {
+    const parts = line.trim().split(/\s+/);
+    if (parts.length < 10) {
+      continue;
+    }
+
+    const { address, port } = decodeProcAddress(parts[1]);
+    sockets.push({
+      protocol,
+      family: family || (address.includes(':') ? 6 : 4),
+      address,
+      port,
+      state: SOCKET_STATES[parts[3].toUpperCase()] || 'UNKNOWN',
+      uid: parseInt(parts[7], 10),
+      inode: parts[9],
+    });
+  }
+
+  return sockets;
+}
+
+/**
+ * Map socket inodes to the PIDs holding them by scanning /proc/<pid>/fd.
+ * Processes whose descriptors cannot be read (other users' without root) are skipped.
+ */
+function mapSocketInodes(inodes, root = PROC_ROOT) {
+  const owners = new Map();
+
+  for (const entry of readdirSync(root)) {
+    if (!/^\d+$/.test(entry)) {
+      continue;
+    }
+
+    let fds;
+    try {
+      fds = readdirSync(`${root}/${entry}/fd`);
+    } catch {
+      continue;
+    }
+
+    for (const fd of fds) {
+      let target;
+      try {
+        target = readlinkSync(`${root}/${entry}/fd/${fd}`);
+      } catch {
+        continue;
+      }
+
+      const match = target.match(/^socket:\[(\d+)\]$/);
+      if (match && inodes.has(match[1])) {
+        const pids = owners.get(match[1]) || [];
+        pids.push(parseInt(entry, 10));
+        owners.set(match[1], pids);
+      }
+    }
+  }
+
+  return owners;
+}
+
+/**
+ * Explain sockets whose owner may not be inspected (`hidden`, each with its `user`), on `port`
+ * or on any port when it is undefined
+ */
+function hiddenSocketsWarning(hidden, port) {
+  const users = Array.from(new Set(hidden.map((socket) => socket.user)));
+  const where = port === undefined ? '' : ` on port ${port}`;
+  return (
+    `${hidden.length} socket(s)${where} belong to processes owned by ${users.join(', ')} ` +
+    'that cannot be inspected with the current permissions; re-run as that user or with sudo'
+  );
+}
+
+/**
+ * Explain sockets that have no owner even to root (`unowned`), on `port` or on any port when it
+ * is undefined
+ */
+function unownedSocketsWarning(unowned, port) {
+  const where = port === undefined ? '' : ` on port ${port}`;
+  return (
+    `${unowned.length} socket(s)${where} have no owning process in this PID namespace ` +
+    '(they belong to the kernel or to a process in another container); there is nothing here to kill'
+  );
+}
+
+/**
+ * Get sockets (on one port, or all ports when `port` is undefined) by reading /proc/net and
+ * /proc/<pid>/fd directly. `options.filter` selects sockets before they are attributed
+ * (default: listening sockets); `options.root` points at an alternative /proc.
+ * Sockets without a visible owner are returned as `hidden`, with the owning `user`. Root sees every
+ * process here, so for root (or `options.elevated`) they are `unowned` instead: kernel sockets, or
+ * sockets of processes in another PID namespace.
+ */
+function getSocketsProc(port, options = {}) {
+  const root = options.root || PROC_ROOT;
+  const filter = options.filter || isListening;
+  const elevated = options.elevated ?? (typeof process.getuid === 'function' && process.getuid() === 0);
+
+  const tables = [];
+  for (const [file, protocol, family] of PROC_NET_TABLES) {
+    try {
+      const content = readFileSync(`${root}/net/${file}`, 'utf8');
+      tables.push(...parseProcNetTable(content, protocol, family));
+    } catch {
+      // table missing (e.g. IPv6 disabled)
+    }
+  }
+
+  // Sockets in TIME_WAIT and similar have inode 0 and no owning process
+  const matching = tables.filter(
+    (socket) => (port === undefined || socket.port === port) && socket.inode !== '0' && filter(socket)
+  );
+  if (matching.length === 0) {
+    return { sockets: [], warnings: [], hidden: [], unowned: [] };
+  }
+
+  const owners = mapSocketInodes(new Set(matching.map((socket) => socket.inode)), root);
+  const commands = new Map();
+  const sockets = [];
+  const hidden = [];
+
+  for (const socket of matching) {
+    const pids = owners.get(socket.inode);
+    if (!pids) {
+      hidden.push(socket);
+      continue;
+    }
+
+    for (const pid of pids) {
+      if (!commands.has(pid)) {
+        let command = 'unknown';
+        try {
+          command = readFileSync(`${root}/${pid}/comm`, 'utf8').trim();
+        } catch {
+          // ignore
+        }
+        commands.set(pid, command);
+      }
+
+      const { protocol, family, address, port: localPort, state } = socket;
+      sockets.push({ protocol, family, address, port: localPort, state, pid, command: commands.get(pid) });
+    }
+  }
+
+  const warnings = [];
+  const owned = hidden.map(({ protocol, family, address, port: localPort, state, uid }) => ({
+    protocol,
+    family,
+    address,
+    port: localPort,
+    state,
+    user: userName(uid),
+  }));
+  if (owned.length === 0) {
+    return { sockets, warnings, hidden: [], unowned: [] };
+  }
+  if (elevated) {
+    warnings.push(unownedSocketsWarning(owned, port));
+    return { sockets, warnings, hidden: [], unowned: owned };
+  }
+  warnings.push(hiddenSocketsWarning(owned, port));
+  return { sockets, warnings, hidden: owned, unowned: [] };
+}
+
+export {
+  decodeProcAddress,
+  getSocketsProc,
+  hiddenSocketsWarning,
+  isProcNetAvailable,
+  parseProcNetTable,
+  unownedSocketsWarning,
+};
@@ -0,0 +1,327 @@
+import { execSync } from 'child_process';
+import { readFileSync, readdirSync } from 'fs';
+
+const PLATFORM = process.platform;
+
+// Walking up the parent chain stops at these: killing them would take down a terminal,
+// a login session or the system instead of the dev server that holds the port
+const BOUNDARY_COMMANDS = new Set([
+  'init',
+  'systemd',
+  'launchd',
+  'sshd',
+  'login',
+  'su',
+  'sudo',
+  'tmux',
+  'tmux: server',
+  'screen',
+  'containerd-shim',
+  'containerd-shim-runc-v2',
+  'dockerd',
+  'supervisord',
+  'explorer',
+  'services',
+  'wininit',
+  'svchost',
+]);
+
+// Shells are boundaries when interactive, but part of the tree when only running a script (`sh -c ...`)
+const SHELL_COMMANDS = new Set([
+  'sh',
+  'bash',
+  'zsh',
+  'fish',
+  'dash',
+  'ksh',
+  'csh',
+  'tcsh',
+  'cmd',
+  'powershell',
+  'pwsh',
+]);
+
+// Launchers that only start (and may restart) the process below them; the walk up passes through
+// these, and through other parents only while they have no other children and are not daemons
+const WRAPPER_COMMANDS = new Set([
+  'npm',
+  'npx',
+  'yarn',
+  'pnpm',
+  'pnpx',
+  'bun',
+  'bunx',
+  'nodemon',
+  'node-dev',
+  'ts-node-dev',
+  'cross-env',
+  'dotenv',
+  'env',
+  'nohup',
+]);
+
+// Runtimes whose script names the actual program, e.g. `node /usr/lib/node_modules/npm/bin/npm-cli.js`
+const RUNTIME_COMMANDS = new Set(['node', 'nodejs']);
+
+// Process managers name themselves after their version, e.g. "PM2 v5.3.0: God Daemon"
+const PROCESS_MANAGER = /^(pm2|forever)\b/i;
+
+/**
+ * Lower-case a command name and drop a Windows .exe suffix and any path
+ */
+function baseCommand(command) {
+  return command
+    .split(/[\\/]/)
+    .pop()
+    .toLowerCase()
+    .replace(/\.exe$/, '')
+    .replace(/^-/, '');
+}
+
+/**
+ * Find which of `names` (lower-case, without paths) a command runs, or null. Kernels cap command
+ * names at 15 (Linux) or 16 (macOS) characters, so long names also match by prefix.
+ */
+function matchCommand(command, names) {
+  const name = baseCommand(command || '');
+  const known = Array.from(names);
+  if (known.includes(name)) {
+    return name;
+  }
+  if (name.length < 15) {
+    return null;
+  }
+  return known.find((key) => key.startsWith(name)) || null;
+}
+
+/**
+ * Parse `pid ppid args...` lines (from ps or PowerShell) into a process table
+ */
+function parseProcessList(output) {
+  const table = new Map();
+
+  for (const line of output.trim().split('\n')) {
+    const match = line.trim().match(/^(\d+)\s+(\d+)\s+(.*)$/);
+    if (!match) {
+      continue;
+    }
+    const pid = parseInt(match[1], 10);
+    const args = match[3].trim();
+    const command = args.split(/\s+/)[0].split(/[\\/]/).pop();
+    table.set(pid, { pid, ppid: parseInt(match[2], 10), command, args });
+  }
+
+  return table;
+}
+
+/**
+ * Read the process table from /proc/<pid>/stat and /proc/<pid>/cmdline
+ */
+function getProcessTableProc() {
+  const table = new Map();
+
+  for (const entry of readdirSync('/proc')) {
+    if (!/^\d+$/.test(entry)) {
+      continue;
+    }
+
+    try {
+      const stat = readFileSync(`/proc/${entry}/stat`, 'utf8');
+      const command = stat.slice(stat.indexOf('(') + 1, stat.lastIndexOf(')'));
+      const ppid = parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1], 10);
+      let args = '';
+      try {
+        args = readFileSync(`/proc/${entry}/cmdline`, 'utf8').split('\0').filter(Boolean).join(' ');
+      } catch {
+        // ignore
+      }
+      const pid = parseInt(entry, 10);
+      table.set(pid, { pid, ppid, command, args: args || command });
+    } catch {
+      // process exited while scanning
+    }
+  }
+
+  return table;
+}
+
+/**
+ * Get every process with its parent PID, keyed by PID
+ */
+function getProcessTable() {
+  if (PLATFORM === 'linux') {
+    return getProcessTableProc();
+  }
+
+  const execOpts = { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 16 * 1024 * 1024 };
+  if (PLATFORM === 'win32') {
+    const script =
+      "Get-CimInstance Win32_Process | ForEach-Object { '{0} {1} {2}' -f $_.ProcessId,$_.ParentProcessId,$_.Name }";
+    return parseProcessList(execSync(`powershell -NoProfile -Command "${script}"`, execOpts));
+  }
+
+  return parseProcessList(execSync('ps -A -o pid=,ppid=,args=', execOpts));
+}
+
+/**
+ * Check whether walking up the parent chain should stop before this process
+ */
+function isBoundary(proc) {
+  if (proc.pid <= 1) {
+    return true;
+  }
+
+  const name = baseCommand(proc.command);
+  if (BOUNDARY_COMMANDS.has(name) || PROCESS_MANAGER.test(proc.command)) {
+    return true;
+  }
+  if (SHELL_COMMANDS.has(name)) {
+    return !isShellCommand(proc);
+  }
+  return false;
+}
+
+/**
+ * Check whether a shell is only running a command (`sh -c ...`, `cmd /c ...`)
+ */
+function isShellCommand(proc) {
+  return /\s(-c|\/c)\s/i.test(` ${proc.args} `);
+}
+
+/**
+ * Check whether a process is a known launcher, run directly or as a runtime's script
+ */
+function isWrapper(proc) {
+  if (SHELL_COMMANDS.has(baseCommand(proc.command))) {
+    return isShellCommand(proc);
+  }
+
+  const [program = '', script = ''] = proc.args.split(/\s+/);
+  const names = [baseCommand(proc.command), baseCommand(program)];
+  if (RUNTIME_COMMANDS.has(baseCommand(program))) {
+    names.push(baseCommand(script).replace(/\.[cm]?js$/, '').replace(/-cli$/, ''));
+  }
+  return names.some((name) => WRAPPER_COMMANDS.has(name));
+}
+
+/**
+ * Collect a PID and its ancestors
+ */
+function ancestorsOf(pid, table) {
+  const chain = new Set();
+  let current = table.get(pid);
+  while (current && !chain.has(current.pid)) {
+    chain.add(current.pid);
+    current = table.get(current.ppid);
+  }
+  return chain;
+}
+
+/**
+ * Build the tree of processes that should go down together with `pid`: the parents that only
+ * exist to run it (known wrappers such as npm or `sh -c`, and parents with no other children that
+ * are not themselves daemons or session leaders), never crossing a shell, session or system boundary or including portclean itself or its
+ * ancestors, plus every descendant of the topmost one.
+ *
+ * Returns `{ root, killOrder }` where `root` is `{ pid, command, children }` and
+ * `killOrder` lists `{ pid, command }` bottom-up (children before their parents).
+ */
+function buildProcessTree(pid, table, protectedPids = ancestorsOf(process.pid, table)) {
+  const children = new Map();
+  for (const proc of table.values()) {
+    if (!children.has(proc.ppid)) {
+      children.set(proc.ppid, []);
+    }
+    children.get(proc.ppid).push(proc);
+  }
+
+  let top = table.get(pid) || { pid, ppid: 0, command: 'unknown', args: '' };
+  for (;;) {
+    const parent = table.get(top.ppid);
+    if (!parent || parent.pid === top.pid || protectedPids.has(parent.pid) || isBoundary(parent)) {
+      break;
+    }
+    // An editor, process manager or other parent with further children must survive, and so must
+    // a daemon or session leader (a parent of init or of a boundary), such as crond running a job
+    if (!isWrapper(parent)) {
+      const grandparent = table.get(parent.ppid);
+      if (children.get(parent.pid).length > 1 || !grandparent || isBoundary(grandparent)) {
+        break;
+      }
+    }
+    top = parent;
+  }
+
+  const killOrder = [];
+  const visit = (proc, seen) => {
+    seen.add(proc.pid);
+    const node = { pid: proc.pid, command: proc.command, children: [] };
+    for (const child of children.get(proc.pid) || []) {
+      if (!seen.has(child.pid) && !protectedPids.has(child.pid)) {
+        node.children.push(visit(child, seen));
+      }
+    }
+    killOrder.push({ pid: proc.pid, command: proc.command });
+    return node;
+  };
+
+  return { root: visit(top, new Set()), killOrder };
+}
+
+/**
+ * Build the process tree for a PID from a fresh process table
+ */
+function getProcessTree(pid) {
+  return buildProcessTree(pid, getProcessTable());
+}
+
+/**
+ * Expand processes into the ordered, de-duplicated list of PIDs to kill. Processes that carry
+ * a `tree` contribute their whole tree bottom-up; members not found on the port get `via: 'tree'`.
+ */
+function killTargets(processes) {
+  const owners = new Set(processes.map((proc) => proc.pid));
+  const targets = new Map();
+
+  for (const proc of processes) {
+    const members = proc.tree ? proc.tree.killOrder : [proc];
+    for (const member of members) {
+      if (!targets.has(member.pid)) {
+        const via = owners.has(member.pid) ? {} : { via: 'tree' };
+        const container = member === proc && proc.container ? { container: proc.container } : {};
+        targets.set(member.pid, { pid: member.pid, command: member.command, ...container, ...via });
+      }
+    }
+  }
+
+  return Array.from(targets.values());
+}
+
+/**
+ * Render a tree as indented lines, marking the PIDs in `highlight`
+ */
+function formatProcessTree(root, highlight = new Set()) {
+  const lines = [];
+  const walk = (node, prefix, childPrefix) => {
+    const mark = highlight.has(node.pid) ? ' ← holds port' : '';
+    lines.push(`${prefix}${node.command} (${node.pid})${mark}`);
+    node.children.forEach((child, idx) => {
+      const last = idx === node.children.length - 1;
+      walk(child, `${childPrefix}${last ? '└─ ' : '├─ '}`, `${childPrefix}${last ? '   ' : '│  '}`);
+    });
+  };
+  walk(root, '', '');
+  return lines;
+}
+
+export {
+  ancestorsOf,
+  baseCommand,
+  buildProcessTree,
+  formatProcessTree,
+  getProcessTable,
+  getProcessTree,
+  killTargets,
+  matchCommand,
+  parseProcessList,
+};
@@ -0,0 +1,557 @@
+import colors from 'picocolors';
+import { isPermissionError } from './exit-codes.js';
+import { describeProcess, formatBytes, formatDuration } from './procinfo.js';
+import { formatProcessTree } from './proctree.js';
+
+// Bump when a field is removed or changes meaning; adding fields is backwards compatible
+const SCHEMA_VERSION = 1;
+
+const CONTAINER_DONE = { stop: 'Stopped', rm: 'Removed', kill: 'Killed' };
+
+const LIST_HEADERS = [
+  'PORT',
+  'PROTO',
+  'ADDRESS',
+  'PID',
+  'PPID',
+  'USER',
+  'UPTIME',
+  'RSS',
+  'CWD',
+  'COMMAND',
+  'COMMAND LINE',
+];
+
+const HISTORY_HEADERS = ['ID', 'TIME', 'PORT', 'PID', 'USER', 'SIGNAL', 'RESULT', 'CWD', 'COMMAND LINE'];
+
+/**
+ * Create a reporter that renders CLI events as colored text, one JSON document or NDJSON.
+ *
+ * Events are plain objects with a `type`:
+ *   port    { port, processes, warnings, hidden }  processes discovered on a port, and sockets there
+ *                                                   whose owner may not be inspected
+ *   action  { port, pid, command, action, ok, ... } a kill ("kill"), a container stopped instead of its
+ *                                                   port proxy ("container"), a process left alone
+ *                                                   ("skip") or a kill previewed by --dry-run ("would-kill")
+ *   release { port, released, elapsed, remaining }  whether a port was confirmed free (--wait)
+ *   socket  { port, protocol, address, pid, ... }   a listening socket (list command)
+ *   watch   { ports, interval, policy }             watch mode started
+ *   backend { name, order, status, detail, ... }    a discovery backend checked by the doctor command
+ *   free    { port }                               a port that could be bound (free command)
+ *   busy    { port, reason, code, processes, ... } a port skipped by the free command, and why
+ *   record  { id, time, port, pid, argv, cwd, ... } a kill from the history (history command)
+ *   restart { id, ok, pid, argv, cwd, error? }      a killed process started again (history --restart)
+ *   warning { message }                             a diagnostic not tied to a port
+ *   error   { code, message, port? }                invalid input or a failed discovery
+ */
+function createReporter(format, command) {
+  const summary =
+    command === 'list'
+      ? { sockets: 0, warnings: 0, errors: 0 }
+      : command === 'doctor'
+      ? { backends: 0, working: 0, errors: 0 }
+      : command === 'free'
+      ? { free: 0, busy: 0, warnings: 0, errors: 0 }
+      : command === 'history'
+      ? { records: 0, restarted: 0, failed: 0, warnings: 0, errors: 0 }
+      : {
+          ports: 0,
+          found: 0,
+          notFound: 0,
+          killed: 0,
+          gone: 0,
+          failed: 0,
+          denied: 0,
+          hidden: 0,
+          skipped: 0,
+          wouldKill: 0,
+          unreleased: 0,
+          warnings: 0,
+          errors: 0,
+        };
+  const sink =
+    format === 'json' ? jsonSink(command) : format === 'ndjson' ? ndjsonSink(command) : humanSink(command);
+
+  return {
+    machine: format === 'json' || format === 'ndjson',
+    summary,
+    emit(event) {
+      countEvent(summary, event);
+      sink.write(event);
+    },
+    end(extra = {}) {
+      Object.assign(summary, extra);
+      sink.end(summary);
+      return summary;
+    },
+  };
+}
+
+/**
+ * Update summary counters for an event
+ */
+function countEvent(summary, event) {
+  switch (event.type) {
+    case 'port':
+      summary.ports++;
+      summary.found += event.processes.length;
+      if (event.processes.length === 0) {
+        summary.notFound++;
+      }
+      summary.hidden += (event.hidden || []).length;
+      break;
+    case 'action':
+      if (event.action === 'skip') {
+        summary.skipped++;
+      } else if (event.action === 'would-kill') {
+        summary.wouldKill++;
+      } else if (event.ok) {
+        summary.killed++;
+      } else if (event.reason === 'gone') {
+        // It exited on its own (e.g. while earlier ports were confirmed); --wait checks the port
+        summary.gone++;
+      } else {
+        summary.failed++;
+        if (isPermissionError(event.error.code)) {
+          summary.denied++;
+        }
+      }
+      break;
+    case 'release':
+      if (!event.released) {
+        summary.unreleased++;
+      }
+      break;
+    case 'socket':
+      summary.sockets++;
+      break;
+    case 'free':
+      summary.free++;
+      break;
+    case 'busy':
+      summary.busy++;
+      break;
+    case 'record':
+      summary.records++;
+      break;
+    case 'restart':
+      if (event.ok) {
+        summary.restarted++;
+      } else {
+        summary.failed++;
+      }
+      break;
+    case 'backend':
+      summary.backends++;
+      if (event.status === 'ok') {
+        summary.working++;
+      }
+      break;
+    case 'warning':
+      summary.warnings++;
+      break;
+    case 'error':
+      summary.errors++;
+      break;
+  }
+}
+
+/**
+ * Build the serializable form of a failure
+ */
+function serializeError(error, fallbackCode = 'UNKNOWN') {
+  return { code: error.code || fallbackCode, message: error.message };
+}
+
+/**
+ * Colored, human-readable output (the default)
+ */
+function humanSink(command) {
+  const sockets = [];
+  const kills = [];
+  const backends = [];
+  const records = [];
+
+  return {
+    write(event) {
+      switch (event.type) {
+        case 'port':
+          event.warnings.forEach((msg) => console.error(colors.yellow(`Warning: ${msg}`)));
+          if (event.processes.length === 0) {
+            // Sockets owned by processes that may not be inspected were already explained by a warning
+            if (!event.hidden || event.hidden.length === 0) {
+              console.log(colors.yellow(`No process found on port ${event.port}`));
+            }
+            break;
+          }
+          console.log(colors.cyan(`\nProcesses on port ${event.port}:`));
+          event.processes.forEach((proc, idx) => {
+            const others = (proc.ports || []).filter((port) => port !== event.port);
+            const also = others.length > 0 ? colors.dim(` also on port(s) ${others.join(', ')}`) : '';
+            console.log(`  ${idx + 1}. PID ${proc.pid} (${proc.command})${also}`);
+            const details = describeProcess(proc);
+            const about = [proc.cmdline, details && `(${details})`].filter(Boolean).join('  ');
+            if (about) {
+              console.log(colors.dim(`     ${about}`));
+            }
+            if (proc.container) {
+              const { runtime, name, image } = proc.container;
+              console.log(colors.dim(`     → ${runtime} container ${name} (${image}) publishes this port`));
+            }
+            if (proc.tree && proc.tree.killOrder.length > 1) {
+              const owners = new Set(event.processes.map((p) => p.pid));
+              formatProcessTree(proc.tree.root, owners).forEach((line) => console.log(`     ${line}`));
+            }
+          });
+          break;
+        case 'action':
+          if (event.action === 'skip') {
+            if (event.reason !== 'declined') {
+              console.log(colors.yellow(`⚠ Skipped process ${event.pid} (${event.command}): ${event.message}`));
+            }
+            break;
+          }
+          if (event.action === 'would-kill' && event.container) {
+            const { name, image } = event.container;
+            console.log(colors.cyan(`• Would ${event.containerAction} container ${name} (${image})`));
+            break;
+          }
+          if (event.action === 'container') {
+            const { name, image } = event.container;
+            if (event.ok) {
+              kills.push({ ...event, at: new Date() });
+              console.log(colors.green(`✓ ${CONTAINER_DONE[event.containerAction]} container ${name} (${image})`));
+            } else {
+              console.error(
+                colors.red(`✗ Failed to ${event.containerAction} container ${name}: ${event.error.message}`)
+              );
+            }
+            break;
+          }
+          if (event.action === 'would-kill') {
+            const via = event.via ? ' as part of its tree' : '';
+            const escalation = event.signal === 'SIGKILL' ? '' : `, then SIGKILL after ${event.timeout}ms`;
+            console.log(
+              colors.cyan(
+                `• Would kill process ${event.pid} (${event.command})${via} with ${event.signal}${escalation}`
+              )
+            );
+            break;
+          }
+          if (event.ok) {
+            kills.push({ ...event, at: new Date() });
+            const suffix = event.escalated ? ` after ${event.requestedSignal} timed out` : '';
+            console.log(
+              colors.green(`✓ Killed process ${event.pid} (${event.command}) with ${event.signal}${suffix}`)
+            );
+          } else if (event.reason === 'gone') {
+            console.log(colors.dim(`• Process ${event.pid} (${event.command}) had already exited`));
+          } else if (event.reason === 'permission') {
+            const owner = event.user ? `, which belongs to ${event.user}` : '';
+            console.error(
+              colors.red(`✗ Not allowed to kill process ${event.pid} (${event.command})${owner}`)
+            );
+          } else {
+            console.error(colors.red(`✗ Failed to kill process ${event.pid}: ${event.error.message}`));
+          }
+          break;
+        case 'release':
+          if (event.released) {
+            console.log(colors.green(`✓ Port ${event.port} is free`));
+          } else {
+            const holders = event.remaining.length
+              ? event.remaining.map((proc) => `PID ${proc.pid} (${proc.command})`).join(', ')
+              : 'bind failed with EADDRINUSE';
+            console.error(
+              colors.red(`✗ Port ${event.port} is still in use after ${event.elapsed}ms: ${holders}`)
+            );
+          }
+          break;
+        case 'socket':
+          sockets.push(event);
+          break;
+        case 'backend':
+          backends.push(event);
+          break;
+        case 'free':
+          // Just the number on stdout, so scripts can use $(portclean free 3000-3100)
+          console.log(String(event.port));
+          break;
+        case 'busy':
+          event.warnings.forEach((msg) => console.error(colors.yellow(`Warning: ${msg}`)));
+          console.error(colors.dim(`Port ${event.port} is busy: ${describeBusy(event)}`));
+          break;
+        case 'record':
+          records.push(event);
+          break;
+        case 'restart':
+          if (event.ok) {
+            const where = event.cwd ? ` in ${event.cwd}` : '';
+            const label = `${event.argv.join(' ')}${where}`;
+            console.log(colors.green(`✓ Restarted entry ${event.id} as PID ${event.pid}: ${label}`));
+          } else {
+            console.error(colors.red(`✗ Could not restart entry ${event.id}: ${event.error.message}`));
+          }
+          break;
+        case 'watch':
+          console.log(
+            colors.cyan(
+              `Watching port(s) ${event.ports.join(', ')} every ${event.interval}ms ` +
+                `(policy: ${event.policy}). Press Ctrl+C to stop.`
+            )
+          );
+          break;
+        case 'warning':
+          console.error(colors.yellow(`Warning: ${event.message}`));
+          break;
+        case 'error':
+          console.error(
+            colors.red(event.port ? `Failed to handle port ${event.port}: ${event.message}` : event.message)
+          );
+          break;
+      }
+    },
+    end(summary) {
+      if (command === 'doctor') {
+        printBackends(backends, summary);
+        return;
+      }
+      if (command === 'history') {
+        printHistory(records, summary);
+        return;
+      }
+      if (command === 'watch') {
+        const seconds = Math.round(summary.duration / 1000);
+        console.log(colors.cyan(`\nStopped watching after ${seconds}s (${summary.polls} check(s))`));
+        if (kills.length === 0) {
+          console.log('Nothing was killed');
+        } else {
+          console.log(`Killed ${kills.length} process(es):`);
+          kills.forEach((kill) => {
+            const time = kill.at.toTimeString().slice(0, 8);
+            console.log(`  ${time}  port ${kill.port}  PID ${kill.pid} (${kill.command})`);
+          });
+        }
+      }
+      if (command !== 'list') {
+        if (summary.wouldKill > 0) {
+          const count = summary.wouldKill;
+          console.log(colors.yellow(`\nDry run: ${count} process(es) would be killed; no signal was sent`));
+        }
+        return;
+      }
+      if (sockets.length === 0) {
+        console.log(colors.yellow('No listening ports found'));
+        return;
+      }
+      console.log(
+        formatTable(
+          LIST_HEADERS,
+          sockets.map((s) => [
+            s.port,
+            s.protocol,
+            s.address,
+            s.pid,
+            s.ppid ?? '-',
+            s.user || '-',
+            s.uptime === null || s.uptime === undefined ? '-' : formatDuration(s.uptime),
+            s.rss ? formatBytes(s.rss) : '-',
+            s.cwd || '-',
+            s.command,
+            s.cmdline || '-',
+          ])
+        )
+      );
+    },
+  };
+}
+
+/**
+ * Say why the free command skipped a port
+ */
+function describeBusy(event) {
+  if (event.reason === 'denied') {
+    return `not allowed to bind it (${event.code})`;
+  }
+  if (event.reason !== 'in-use') {
+    return `could not bind it (${event.code})`;
+  }
+  if (event.processes.length === 0) {
+    return 'in use by a process that could not be identified';
+  }
+  return `used by ${event.processes.map((proc) => `${proc.command} (PID ${proc.pid})`).join(', ')}`;
+}
+
+/**
+ * Print the recorded kills as a table, oldest first (nothing for history --restart)
+ */
+function printHistory(records, summary) {
+  if (records.length === 0) {
+    if (summary.restarted === 0 && summary.failed === 0 && summary.errors === 0) {
+      console.log(colors.yellow('No kills recorded yet'));
+    }
+    return;
+  }
+  console.log(
+    formatTable(
+      HISTORY_HEADERS,
+      records.map((r) => [
+        r.id,
+        formatTime(r.time),
+        r.port,
+        r.pid,
+        r.user || '-',
+        r.signal || '-',
+        r.outcome,
+        r.cwd || '-',
+        r.cmdline || r.command,
+      ])
+    )
+  );
+}
+
+/**
+ * Format an ISO 8601 time as local "YYYY-MM-DD HH:MM:SS"
+ */
+function formatTime(iso) {
+  const date = new Date(iso);
+  const pad = (n) => String(n).padStart(2, '0');
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Print the doctor command's findings: every backend, this platform's fallback order and the verdict
+ */
+function printBackends(backends, summary) {
+  const chain = backends.filter((b) => b.order !== null).sort((a, b) => a.order - b.order);
+  const platform = backends.length > 0 ? backends[0].platform : process.platform;
+  const order = chain.map((b) => b.name).join(', ');
+  console.log(colors.bold(`Discovery backends on ${platform}, tried in this order: ${order}\n`));
+
+  const marks = { ok: '✓', failed: '✗', unavailable: '-' };
+  console.log(
+    formatTable(
+      ['', 'BACKEND', 'STATUS', 'DETAIL'],
+      backends.map((b) => [marks[b.status], b.name, b.status, b.detail])
+    )
+  );
+
+  if (summary.working > 0) {
+    console.log(colors.green(`\n${summary.working} of ${summary.backends} backend(s) work on this machine`));
+  } else {
+    console.error(colors.red('\nNo discovery backend works on this machine, so no port can be looked up'));
+  }
+}
+
+/**
+ * A single JSON document written when the command finishes
+ */
+function jsonSink(command) {
+  const doc = { schemaVersion: SCHEMA_VERSION, command };
+  if (command === 'list') {
+    Object.assign(doc, { sockets: [], warnings: [], errors: [] });
+  } else if (command === 'doctor') {
+    Object.assign(doc, { backends: [], errors: [] });
+  } else if (command === 'free') {
+    Object.assign(doc, { free: [], busy: [], warnings: [], errors: [] });
+  } else if (command === 'history') {
+    Object.assign(doc, { records: [], restarts: [], warnings: [], errors: [] });
+  } else {
+    Object.assign(doc, { ports: [], warnings: [], errors: [] });
+  }
+
+  // In watch mode a port can be reported many times; events belong to its latest report
+  const portEntry = (port) => doc.ports.filter((entry) => entry.port === port).pop();
+
+  return {
+    write(event) {
+      const { type, ...data } = event;
+      switch (type) {
+        case 'port':
+          doc.ports.push({ ...data, actions: [] });
+          break;
+        case 'action':
+          portEntry(data.port).actions.push({ ...data, ...(command === 'watch' ? { at: timestamp() } : {}) });
+          break;
+        case 'release': {
+          const { port, ...release } = data;
+          portEntry(port).release = release;
+          break;
+        }
+        case 'watch':
+          doc.watch = data;
+          break;
+        case 'socket':
+          doc.sockets.push(data);
+          break;
+        case 'backend':
+          doc.backends.push(data);
+          break;
+        case 'free':
+          doc.free.push(data.port);
+          break;
+        case 'busy':
+          doc.busy.push(data);
+          break;
+        case 'record':
+          doc.records.push(data);
+          break;
+        case 'restart':
+          doc.restarts.push(data);
+          break;
+        case 'warning':
+          doc.warnings.push(data.message);
+          break;
+        case 'error':
+          doc.errors.push(data);
+          break;
+      }
+    },
+    end(summary) {
+      doc.summary = summary;
+      console.log(JSON.stringify(doc, null, 2));
+    },
+  };
+}
+
+/**
+ * One JSON event per line, written as it happens
+ */
+function ndjsonSink(command) {
+  const writeLine = (event) => console.log(JSON.stringify(event));
+  // Watch mode runs for a long time, so its events say when they happened
+  const stamp = (event) => (command === 'watch' ? { ...event, at: timestamp() } : event);
+  writeLine({ type: 'start', schemaVersion: SCHEMA_VERSION, command });
+
+  return {
+    write: (event) => writeLine(stamp(event)),
+    end(summary) {
+      writeLine({ type: 'summary', ...summary });
+    },
+  };
+}
+
+/**
+ * Current time as an ISO 8601 string, for events in long-running commands
+ */
+function timestamp() {
+  return new Date().toISOString();
+}
+
+/**
+ * Format rows into left-aligned columns (the last column is not padded)
+ */
+function formatTable(headers, rows) {
+  const widths = headers.map((header, idx) =>
+    Math.max(header.length, ...rows.map((row) => String(row[idx]).length))
+  );
+  const format = (cells) =>
+    cells
+      .map((cell, idx) => (idx === cells.length - 1 ? String(cell) : String(cell).padEnd(widths[idx])))
+      .join('  ');
+
+  return [colors.bold(format(headers)), ...rows.map(format)].join('\n');
+}
+
+export { SCHEMA_VERSION, createReporter, serializeError };
@@ -0,0 +1,78 @@
+import { spawn } from 'child_process';
+import { constants } from 'os';
+import { findExecutable } from './backends.js';
+
+const FORWARDED_SIGNALS = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+// Characters cmd.exe interprets, escaped with ^
+const CMD_METACHARACTERS = /([()\][%!^"`<>&|;, *?])/g;
+
+/**
+ * Quote one argument for a command line run by cmd.exe: first as the C runtime splits argv, then
+ * with cmd.exe's metacharacters escaped. Batch files (`batch`) are parsed by cmd.exe a second time,
+ * so they need every escape twice.
+ */
+function quoteForCmd(arg, batch = false) {
+  const quoted = `"${String(arg).replace(/(\\*)"/g, '$1$1\\"').replace(/(\\*)$/, '$1$1')}"`;
+  const escaped = quoted.replace(CMD_METACHARACTERS, '^$1');
+  return batch ? escaped.replace(CMD_METACHARACTERS, '^$1') : escaped;
+}
+
+/**
+ * How to spawn `command` on Windows, given the `path` of its program (null when it is not on PATH,
+ * e.g. a cmd.exe builtin). Programs are started directly; batch files such as npm.cmd and unknown
+ * names go through cmd.exe, with every argument quoted so that it reaches the program unchanged.
+ */
+function windowsSpawn(command, path) {
+  const [file, ...args] = command;
+  if (path && !/\.(cmd|bat)$/i.test(path)) {
+    return { file: path, args, options: {} };
+  }
+
+  const program = (path || file).replace(CMD_METACHARACTERS, '^$1');
+  const line = [program, ...args.map((arg) => quoteForCmd(arg, Boolean(path)))];
+  return {
+    file: process.env.ComSpec || 'cmd.exe',
+    args: ['/d', '/s', '/c', `"${line.join(' ')}"`],
+    options: { windowsVerbatimArguments: true },
+  };
+}
+
+/**
+ * Start a command (`[program, ...args]`) on this process's stdio and resolve to its exit code, or to
+ * 128 plus the signal number when a signal ended it, as shells do. SIGINT, SIGTERM and SIGHUP sent to
+ * portclean are passed on to the command, which decides when to exit. With `options.terminal`
+ * (default: stdin is a TTY), Ctrl+C already reaches the command from the terminal, so SIGINT is
+ * not sent again. Rejects when the program cannot be started (e.g. ENOENT).
+ */
+function runCommand(command, options = {}) {
+  const [file, ...args] = command;
+  const terminal = options.terminal ?? Boolean(process.stdin.isTTY);
+  const started =
+    process.platform === 'win32'
+      ? windowsSpawn(command, /[\\/]/.test(file) ? file : findExecutable(file))
+      : { file, args, options: {} };
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(started.file, started.args, { ...started.options, stdio: 'inherit' });
+    // A second SIGINT would cut short the command's graceful shutdown; portclean still listens
+    // so that it waits for the command instead of exiting on Ctrl+C
+    const forward = (signal) => {
+      if (!(terminal && signal === 'SIGINT')) {
+        child.kill(signal);
+      }
+    };
+    FORWARDED_SIGNALS.forEach((signal) => process.on(signal, forward));
+    const stopForwarding = () => FORWARDED_SIGNALS.forEach((signal) => process.off(signal, forward));
+
+    child.once('error', (error) => {
+      stopForwarding();
+      reject(error);
+    });
+    child.once('exit', (code, signal) => {
+      stopForwarding();
+      resolve(code === null ? 128 + (constants.signals[signal] || 0) : code);
+    });
+  });
+}
+
+export { quoteForCmd, runCommand, windowsSpawn };
@@ -0,0 +1,148 @@
+import { isContainerProxy } from './containers.js';
+import { getProcessInfo } from './procinfo.js';
+import { ancestorsOf, baseCommand, getProcessTable, matchCommand } from './proctree.js';
+
+const PLATFORM = process.platform;
+
+// Never killed without --allow-protected: taking these down breaks the machine, remote access
+// or every container on it, which is never what freeing a dev port is about
+const PROTECTED_COMMANDS = new Set([
+  'init',
+  'systemd',
+  'systemd-resolved',
+  'systemd-networkd',
+  'launchd',
+  'kernel_task',
+  'sshd',
+  'dockerd',
+  'containerd',
+  'cupsd',
+  'mdnsresponder',
+  'rapportd',
+  'dbus-daemon',
+  'networkmanager',
+  'system',
+  'smss',
+  'csrss',
+  'wininit',
+  'winlogon',
+  'services',
+  'lsass',
+  'svchost',
+]);
+
+/**
+ * Check whether a command is in PROTECTED_COMMANDS, also under a truncated name
+ */
+function isProtectedCommand(command) {
+  return matchCommand(command, PROTECTED_COMMANDS) !== null;
+}
+
+/**
+ * Parse an --exclude/--only value: a PID, a `/regex/flags` or a command name
+ */
+function parseMatcher(value) {
+  const text = String(value).trim();
+
+  if (/^\d+$/.test(text)) {
+    return { type: 'pid', value: parseInt(text, 10), source: text };
+  }
+
+  const regex = text.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    try {
+      return { type: 'regex', value: new RegExp(regex[1], regex[2]), source: text };
+    } catch (error) {
+      throw new Error(`Invalid pattern ${text}: ${error.message}`);
+    }
+  }
+
+  if (text === '') {
+    throw new Error('Invalid pattern (expected a name, PID or /regex/)');
+  }
+  return { type: 'name', value: baseCommand(text), source: text };
+}
+
+/**
+ * Check whether a process matches a parsed matcher. Regexes are tried against the command
+ * name and the full command line.
+ */
+function matchesProcess(matcher, proc, cmdline) {
+  switch (matcher.type) {
+    case 'pid':
+      return proc.pid === matcher.value;
+    case 'name':
+      return baseCommand(proc.command) === matcher.value;
+    default:
+      return matcher.value.test(proc.command) || matcher.value.test(cmdline());
+  }
+}
+
+/**
+ * Build the safety policy consulted before any signal is sent.
+ *
+ *   exclude          names, PIDs or /regex/ never to kill
+ *   only             names, PIDs or /regex/; anything else is left alone
+ *   allowProtected   also kill PID 1, system daemons and portclean's own ancestors
+ *
+ * `policy.check(proc)` returns null when `proc` may be killed, or `{ reason, message }`
+ * where `reason` is 'protected', 'excluded' or 'not-matched'. Throws on invalid patterns.
+ */
+function createSafetyPolicy(options = {}) {
+  const toList = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+  const exclude = toList(options.exclude).map(parseMatcher);
+  const only = toList(options.only).map(parseMatcher);
+  let selfPids;
+
+  const protectedReason = (proc) => {
+    if (proc.pid <= 1 || (PLATFORM === 'win32' && proc.pid === 4)) {
+      return `PID ${proc.pid} is the system's init process`;
+    }
+    if (isProtectedCommand(proc.command)) {
+      return `${proc.command} is a system process`;
+    }
+    if (isContainerProxy(proc.command)) {
+      return `${proc.command} forwards a container's port, but the container could not be identified`;
+    }
+    if (!selfPids) {
+      try {
+        selfPids = ancestorsOf(process.pid, getProcessTable());
+      } catch {
+        selfPids = new Set();
+      }
+      selfPids.add(process.pid).add(process.ppid);
+    }
+    if (selfPids.has(proc.pid)) {
+      return proc.pid === process.pid ? 'it is portclean itself' : 'it is a parent of portclean (e.g. your shell)';
+    }
+    return null;
+  };
+
+  return {
+    check(proc) {
+      let info;
+      const cmdline = () => proc.cmdline || (info = info || getProcessInfo(proc.pid)).cmdline;
+
+      // A container behind a proxy is stopped through its runtime; the proxy itself is never signalled
+      if (!options.allowProtected && !proc.container) {
+        const why = protectedReason(proc);
+        if (why) {
+          return { reason: 'protected', message: `${why}; use --allow-protected to kill it anyway` };
+        }
+      }
+
+      const excluded = exclude.find((matcher) => matchesProcess(matcher, proc, cmdline));
+      if (excluded) {
+        return { reason: 'excluded', message: `matches --exclude ${excluded.source}` };
+      }
+
+      if (only.length > 0 && !only.some((matcher) => matchesProcess(matcher, proc, cmdline))) {
+        return { reason: 'not-matched', message: 'does not match --only' };
+      }
+
+      return null;
+    },
+  };
+}
+
+export { PROTECTED_COMMANDS, createSafetyPolicy, parseMatcher };
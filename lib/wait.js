@@ -0,0 +1,54 @@
+import { createServer } from 'net';
+import { getProcessesOnPort } from './discovery.js';
+
+const DEFAULT_WAIT_TIMEOUT = 5000;
+const WAIT_INTERVAL = 200;
+
+/**
+ * Try to bind a TCP port (on all interfaces when `host` is undefined) and release it again.
+ * Resolves null when the bind worked, else the error code (EADDRINUSE, EACCES, ...).
+ */
+function bindError(port, host) {
+  return new Promise((resolve) => {
+    const server = createServer();
+    server.once('error', (error) => resolve(error.code || 'EUNKNOWN'));
+    server.listen({ port, host, exclusive: true }, () => server.close(() => resolve(null)));
+  });
+}
+
+/**
+ * Try to bind a port; resolves true if something else still holds it (EADDRINUSE).
+ * Other bind errors (e.g. EACCES on privileged ports) cannot tell us anything and count as free.
+ */
+async function isBindBlocked(port, host) {
+  return (await bindError(port, host)) === 'EADDRINUSE';
+}
+
+/**
+ * Poll until no process holds a port (and, with `bind`, the port can actually be bound)
+ * or the timeout expires. Resolves `{ released, elapsed, processes, bindBlocked }` where
+ * `processes` are the occupants still found when giving up. `options.filters` (see
+ * normalizeFilters) limits which sockets count as occupying the port, and `options.backend`
+ * picks the discovery backend.
+ */
+async function waitForPortFree(port, options = {}) {
+  const timeout = options.timeout ?? DEFAULT_WAIT_TIMEOUT;
+  const interval = options.interval ?? WAIT_INTERVAL;
+  const started = Date.now();
+
+  for (;;) {
+    const { processes } = await getProcessesOnPort(port, options.filters, options.backend);
+    const blocked = processes.length === 0 && options.bind ? await isBindBlocked(port, options.host) : false;
+    const elapsed = Date.now() - started;
+
+    if (processes.length === 0 && !blocked) {
+      return { released: true, elapsed, processes, bindBlocked: false };
+    }
+    if (elapsed >= timeout) {
+      return { released: false, elapsed, processes, bindBlocked: blocked };
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
+
+export { DEFAULT_WAIT_TIMEOUT, bindError, isBindBlocked, waitForPortFree };
@@ -0,0 +1,261 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import {
+  createKiller,
+  findFreePorts,
+  findProcesses,
+  findProcessesByName,
+  killPorts,
+  listSockets,
+  parsePorts,
+} from '../index.js';
+import { readHistory } from '../lib/history.js';
+import { isolateHistory, spawnServer } from './helpers.js';
+
+// Kills recorded with `history: true` go to a temporary directory
+isolateHistory();
+
+test('API exports parsePorts', () => {
+  assert.deepEqual(parsePorts(['3000-3001']).ports, [3000, 3001]);
+});
+
+test('findProcesses - rejects invalid ports', async () => {
+  await assert.rejects(findProcesses(['70000']), /Invalid port 70000/);
+});
+
+test('findProcesses - accepts numbers, strings and ranges', async () => {
+  const result = await findProcesses([65534, '65530-65531']);
+  assert.deepEqual(
+    result.map((entry) => entry.port),
+    [65534, 65530, 65531]
+  );
+  result.forEach((entry) => assert(Array.isArray(entry.processes)));
+});
+
+test('findProcesses and killPorts - free a listening port', async () => {
+  const { child, port } = await spawnServer();
+  const exited = new Promise((resolve) => child.once('exit', resolve));
+
+  try {
+    const [found] = await findProcesses(port);
+    assert.equal(found.port, port);
+    const proc = found.processes.find((p) => p.pid === child.pid);
+    assert(proc);
+    if (process.platform !== 'win32') {
+      assert.equal(proc.ppid, process.pid);
+      assert.equal(proc.argv[0], process.execPath);
+      assert.equal(typeof proc.startTime, 'string');
+    }
+
+    const [killed] = await killPorts(port, { timeout: 1000 });
+    const result = killed.results.find((r) => r.pid === child.pid);
+    assert.equal(result.killed, true);
+    assert.equal(typeof result.signal, 'string');
+    await exited;
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('listSockets - reports a listening server with its metadata', async () => {
+  const { child, port } = await spawnServer();
+
+  try {
+    const { sockets } = await listSockets(port);
+    const socket = sockets.find((s) => s.pid === child.pid);
+    assert(socket, 'expected the spawned server to be listed');
+    assert.equal(socket.port, port);
+    assert.equal(socket.protocol, 'tcp');
+    assert.equal(socket.address, '127.0.0.1');
+    assert.equal(typeof socket.user, 'string');
+    assert.equal(typeof socket.cmdline, 'string');
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('findProcesses - filters by protocol, family and host', async () => {
+  const { child, port } = await spawnServer();
+
+  try {
+    const pids = async (options) => (await findProcesses(port, options))[0].processes.map((proc) => proc.pid);
+    assert(
+      (await pids({ protocol: 'tcp', family: 4, host: '127.0.0.1' })).includes(child.pid),
+      'expected the TCP/IPv4 server to match'
+    );
+    assert(!(await pids({ protocol: 'udp' })).includes(child.pid));
+    assert(!(await pids({ family: 6 })).includes(child.pid));
+    assert(!(await pids({ host: '10.255.255.1' })).includes(child.pid));
+    await assert.rejects(findProcesses(port, { state: 'closed' }), /Invalid state closed/);
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('findProcesses - honours protocol suffixes and aliases', async () => {
+  const { child, port } = await spawnServer();
+
+  try {
+    const pids = async (ports, options) =>
+      (await findProcesses(ports, options))[0].processes.map((proc) => proc.pid);
+    assert((await pids(`${port}/tcp`, { protocol: 'udp' })).includes(child.pid));
+    assert(!(await pids(`${port}/udp`)).includes(child.pid));
+    assert((await pids('app', { aliases: { app: port } })).includes(child.pid));
+    await assert.rejects(findProcesses(`${port}abc`), /Invalid port/);
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('killPorts - skips processes that do not match only', async () => {
+  const { child, port } = await spawnServer();
+
+  try {
+    const [entry] = await killPorts(port, { only: '/^no-such-command$/' });
+    const result = entry.results.find((r) => r.pid === child.pid);
+    assert.equal(result.killed, false);
+    assert.equal(result.skipped, 'not-matched');
+    assert.equal(child.exitCode, null);
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('killPorts - asks confirm before killing anything on a port', async () => {
+  const { child, port } = await spawnServer();
+  const asked = [];
+
+  try {
+    const confirm = async (askedPort, processes) => {
+      asked.push([askedPort, processes.map((proc) => proc.pid)]);
+      return false;
+    };
+    const [entry] = await killPorts(port, { confirm });
+    assert.deepEqual(asked, [[port, [child.pid]]]);
+    assert.deepEqual(
+      entry.results.map((result) => [result.pid, result.killed, result.skipped]),
+      [[child.pid, false, 'declined']]
+    );
+    assert.equal(child.exitCode, null);
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('killPorts - records kills in the history only when asked to', async () => {
+  const first = await spawnServer();
+  const second = await spawnServer();
+
+  try {
+    await killPorts(first.port, { timeout: 1000 });
+    await killPorts(second.port, { timeout: 1000, history: true });
+    assert.deepEqual(
+      readHistory().map((record) => [record.port, record.pid, record.outcome]),
+      [[second.port, second.child.pid, 'killed']]
+    );
+  } finally {
+    first.child.kill('SIGKILL');
+    second.child.kill('SIGKILL');
+  }
+});
+
+test('createKiller - selects, expands and validates like killPorts', () => {
+  const killer = createKiller({ exclude: 'vite' });
+  const { candidates, skipped } = killer.select([
+    { pid: 1, command: 'node' },
+    { pid: 999998, command: 'vite' },
+    { pid: 999999, command: 'node' },
+  ]);
+  assert.deepEqual(candidates, [{ pid: 999999, command: 'node' }]);
+  assert.deepEqual(
+    skipped.map((result) => [result.pid, result.skipped]),
+    [
+      [1, 'protected'],
+      [999998, 'excluded'],
+    ]
+  );
+
+  const killOrder = [
+    { pid: 999997, command: 'esbuild' },
+    { pid: 999999, command: 'node' },
+    { pid: 1, command: 'init' },
+  ];
+  const plan = killer.expand([{ pid: 999999, command: 'node', tree: { killOrder } }]);
+  assert.deepEqual(
+    plan.targets.map((target) => target.pid),
+    [999997, 999999]
+  );
+  assert.deepEqual(
+    plan.skipped.map((result) => [result.pid, result.skipped, result.via]),
+    [[1, 'protected', 'tree']]
+  );
+
+  assert.throws(() => createKiller({ containerAction: 'pause' }), /Invalid container action pause/);
+  assert.throws(() => createKiller({ signal: 'NOPE' }), /Unknown signal NOPE/);
+});
+
+test('createKiller - expands the proxies of one container into a single target', () => {
+  const container = { runtime: 'docker', id: 'abc123', name: 'web', image: 'nginx:latest' };
+  const { targets } = createKiller().expand([
+    { pid: 999998, command: 'docker-proxy', container },
+    { pid: 999999, command: 'docker-proxy', container: { ...container } },
+  ]);
+  assert.deepEqual(
+    targets.map((target) => target.pid),
+    [999998]
+  );
+});
+
+test('findProcessesByName - finds a process by command line with all of its ports', async () => {
+  const script =
+    "const net = require('net'); const a = net.createServer().listen(0, '127.0.0.1', () => {" +
+    " const b = net.createServer().listen(0, '127.0.0.1', () => console.log(a.address().port, b.address().port)); });" +
+    ' // portclean-by-name-marker';
+  const child = spawn(process.execPath, ['-e', script], { stdio: ['ignore', 'pipe', 'ignore'] });
+  const ports = await new Promise((resolve) =>
+    child.stdout.once('data', (data) => resolve(String(data).trim().split(' ').map(Number)))
+  );
+
+  try {
+    const found = await findProcessesByName({ cmd: 'portclean-by-name-marker' });
+    assert.equal(found.length, 1);
+    assert.equal(found[0].pid, child.pid);
+    assert.deepEqual(
+      [...found[0].ports].sort((a, b) => a - b),
+      [...ports].sort((a, b) => a - b)
+    );
+
+    const byName = await findProcessesByName({ name: 'NOD?', ports });
+    assert(byName.some((proc) => proc.pid === child.pid));
+    assert.deepEqual(await findProcessesByName({ name: 'no-such-program', ports }), []);
+    await assert.rejects(findProcessesByName({ cmd: '(' }), /Invalid pattern/);
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('findFreePorts - skips a busy port and says what holds it', async () => {
+  const { child, port } = await spawnServer();
+  const spare = createServer();
+  await new Promise((resolve) => spare.listen(0, '127.0.0.1', resolve));
+  const { port: unused } = spare.address();
+  await new Promise((resolve) => spare.close(resolve));
+
+  try {
+    const { free, busy } = await findFreePorts([port, unused], { host: '127.0.0.1' });
+    assert.deepEqual(free, [unused]);
+    assert.equal(busy.length, 1);
+    assert.equal(busy[0].port, port);
+    assert.equal(busy[0].reason, 'in-use');
+    assert.equal(busy[0].code, 'EADDRINUSE');
+    assert(busy[0].processes.some((proc) => proc.pid === child.pid));
+  } finally {
+    child.kill();
+  }
+});
+
+test('findFreePorts - rejects an invalid count', async () => {
+  await assert.rejects(findFreePorts(3000, { count: 0 }), (error) => error.code === 'EINVALID');
+});
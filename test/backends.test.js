@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { basename, dirname } from 'path';
+import {
+  BACKEND_NAMES,
+  backendChain,
+  diagnoseBackends,
+  findExecutable,
+  getBackend,
+} from '../lib/backends.js';
+import { findSockets } from '../lib/discovery.js';
+import { spawnServer } from './helpers.js';
+
+test('getBackend - looks up backends by name', () => {
+  assert.equal(getBackend('lsof').name, 'lsof');
+  assert.equal(getBackend('PowerShell').name, 'powershell');
+  assert.throws(
+    () => getBackend('nope'),
+    (error) => error.code === 'EINVALID' && /Invalid backend nope/.test(error.message)
+  );
+});
+
+test('backendChain - platform fallback order', () => {
+  const names = (platform) => backendChain(platform).map((backend) => backend.name);
+  assert.deepEqual(names('linux'), ['lsof', 'ss', 'proc', 'netstat', 'fuser']);
+  assert.deepEqual(names('darwin'), ['lsof']);
+  assert.deepEqual(names('win32'), ['windows-netstat', 'powershell']);
+  assert.deepEqual(names('plan9'), []);
+});
+
+test('findExecutable - searches PATH', () => {
+  const env = { ...process.env, PATH: dirname(process.execPath) };
+  const name = basename(process.execPath).replace(/\.exe$/i, '');
+  assert.equal(findExecutable(name, env), process.execPath);
+  assert.equal(findExecutable('portclean-no-such-tool', env), null);
+});
+
+test('findSockets - an explicit backend that cannot run is an error', async () => {
+  const unsupported = process.platform === 'win32' ? 'proc' : 'powershell';
+  await assert.rejects(findSockets(3000, undefined, unsupported), (error) => {
+    assert.equal(error.code, 'EBACKEND');
+    assert.match(error.message, /not supported/);
+    return true;
+  });
+});
+
+test('findSockets - the fallback chain and /proc both find a listener', async () => {
+  const { child, port } = await spawnServer();
+
+  try {
+    const { sockets } = await findSockets(port);
+    assert(sockets.some((socket) => socket.pid === child.pid && socket.port === port));
+
+    if (process.platform === 'linux') {
+      const viaProc = await findSockets(port, undefined, 'proc');
+      assert.deepEqual(
+        viaProc.sockets.map(({ pid, protocol, state }) => ({ pid, protocol, state })),
+        [{ pid: child.pid, protocol: 'tcp', state: 'LISTEN' }]
+      );
+    }
+  } finally {
+    child.kill();
+  }
+});
+
+test('diagnoseBackends - reports every backend', async () => {
+  const results = await diagnoseBackends();
+  assert.deepEqual(
+    results.map((result) => result.name),
+    BACKEND_NAMES
+  );
+  assert(results.some((result) => result.status === 'ok'));
+  for (const result of results) {
+    assert(['ok', 'unavailable', 'failed'].includes(result.status));
+    assert.equal(typeof result.detail, 'string');
+  }
+});
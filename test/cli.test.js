@@ -1,6 +1,13 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
-import { execSync } from 'child_process';
+import { execSync, spawn } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { isolateHistory, spawnServer } from './helpers.js';
+
+// CLI runs below kill processes; their history goes to a temporary directory
+isolateHistory();
 
 test('CLI --help flag', (t) => {
   const output = execSync('node cli.js --help', { encoding: 'utf8' });
@@ -59,7 +66,451 @@ test('CLI accepts valid ports', (t) => {
   try {
     execSync('node cli.js 65535 --force', { encoding: 'utf8', stdio: 'pipe' });
   } catch (error) {
-    // Expected to fail but with exit code 0 (graceful handling)
+    // Nothing is listening on 65535, which is not a failure without --strict
     assert(error.status === 0 || error.status === 1);
   }
 });
+
+test('CLI list command exits cleanly', (t) => {
+  const output = execSync('node cli.js list 65535', { encoding: 'utf8' });
+  assert(output.includes('65535') || output.includes('No listening ports found'));
+});
+
+test('CLI list errors on invalid port', (t) => {
+  try {
+    execSync('node cli.js list invalid', { encoding: 'utf8', stdio: 'pipe' });
+    assert.fail('Should have exited with error');
+  } catch (error) {
+    assert.equal(error.status, 1);
+  }
+});
+
+test('CLI --json reports discovered processes, actions and a summary', async (t) => {
+  const { child, port } = await spawnServer();
+
+  try {
+    const output = execSync(`node cli.js ${port} --force --timeout 1000 --json`, { encoding: 'utf8' });
+    const doc = JSON.parse(output);
+    assert.equal(doc.schemaVersion, 1);
+    assert.equal(doc.command, 'kill');
+    assert.equal(doc.ports.length, 1);
+    assert.equal(doc.ports[0].port, port);
+    assert(doc.ports[0].processes.some((proc) => proc.pid === child.pid));
+    const action = doc.ports[0].actions.find((a) => a.pid === child.pid);
+    assert.equal(action.action, 'kill');
+    assert.equal(action.ok, true);
+    assert.equal(doc.summary.killed >= 1, true);
+    assert.equal(doc.summary.failed, 0);
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('CLI --ndjson emits one event per line', (t) => {
+  const output = execSync('node cli.js 65535 --force --ndjson', { encoding: 'utf8' });
+  const events = output.trim().split('\n').map((line) => JSON.parse(line));
+  assert.equal(events[0].type, 'start');
+  assert.equal(events[0].schemaVersion, 1);
+  assert.deepEqual(events[1], { type: 'port', port: 65535, processes: [], warnings: [], hidden: [] });
+  assert.equal(events[events.length - 1].type, 'summary');
+});
+
+test('CLI --json reports invalid input as errors', (t) => {
+  try {
+    execSync('node cli.js invalid --json', { encoding: 'utf8', stdio: 'pipe' });
+    assert.fail('Should have exited with error');
+  } catch (error) {
+    assert.equal(error.status, 1);
+    const doc = JSON.parse(error.stdout);
+    assert.equal(doc.errors[0].code, 'EINVALID');
+    assert(doc.errors[0].message.includes('invalid'));
+  }
+});
+
+test('CLI --strict exits 2 when nothing is found', (t) => {
+  try {
+    execSync('node cli.js 65535 --force --strict', { encoding: 'utf8', stdio: 'pipe' });
+    assert.fail('Should have exited with error');
+  } catch (error) {
+    assert.equal(error.status, 2);
+  }
+});
+
+test('CLI exits 1 when some ports are invalid', (t) => {
+  try {
+    execSync('node cli.js 65535 invalid --force', { encoding: 'utf8', stdio: 'pipe' });
+    assert.fail('Should have exited with error');
+  } catch (error) {
+    assert.equal(error.status, 1);
+  }
+});
+
+test('CLI --json includes the exit code in the summary', (t) => {
+  const output = execSync('node cli.js 65535 --force --json', { encoding: 'utf8' });
+  assert.equal(JSON.parse(output).summary.exitCode, 0);
+});
+
+test('CLI --wait confirms the port was released', async (t) => {
+  const { child, port } = await spawnServer();
+
+  try {
+    const output = execSync(`node cli.js ${port} --force --wait=3000 --verify-bind --json`, { encoding: 'utf8' });
+    const doc = JSON.parse(output);
+    assert.equal(doc.ports[0].release.released, true);
+    assert.deepEqual(doc.ports[0].release.remaining, []);
+    assert.equal(doc.summary.unreleased, 0);
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('CLI rejects an invalid --state', (t) => {
+  try {
+    execSync('node cli.js 65535 --state closed', { encoding: 'utf8', stdio: 'pipe' });
+    assert.fail('Should have exited with error');
+  } catch (error) {
+    assert.equal(error.status, 1);
+    assert(error.stderr.includes('Invalid state closed'));
+  }
+});
+
+test('CLI --udp leaves a TCP listener alone', async (t) => {
+  const { child, port } = await spawnServer();
+
+  try {
+    const output = execSync(`node cli.js ${port} --force --udp --json`, { encoding: 'utf8' });
+    const doc = JSON.parse(output);
+    assert.deepEqual(doc.ports[0].processes, []);
+    assert.equal(child.exitCode, null);
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('CLI --tcp before the ports keeps every port', async (t) => {
+  const first = await spawnServer();
+  const second = await spawnServer();
+
+  try {
+    const command = `node cli.js --tcp ${first.port} ${second.port} --dry-run --json`;
+    const output = execSync(command, { encoding: 'utf8' });
+    const doc = JSON.parse(output);
+    assert.deepEqual(
+      doc.ports.map((entry) => entry.port),
+      [first.port, second.port]
+    );
+    assert(doc.ports.every((entry) => entry.processes.length === 1));
+  } finally {
+    first.child.kill('SIGKILL');
+    second.child.kill('SIGKILL');
+  }
+});
+
+test('CLI --dry-run reports what would be killed without killing it', async (t) => {
+  const { child, port } = await spawnServer();
+
+  try {
+    const output = execSync(`node cli.js ${port} --dry-run --signal SIGINT --json`, { encoding: 'utf8' });
+    const doc = JSON.parse(output);
+    const action = doc.ports[0].actions.find((a) => a.pid === child.pid);
+    assert.equal(action.action, 'would-kill');
+    assert.equal(action.signal, 'SIGINT');
+    assert.equal(doc.summary.wouldKill, doc.ports[0].actions.length);
+    assert.equal(doc.summary.killed, 0);
+
+    const text = execSync(`node cli.js ${port} --dry-run`, { encoding: 'utf8' });
+    assert(text.includes(`Would kill process ${child.pid}`));
+    assert.equal(child.exitCode, null);
+    assert.equal(child.signalCode, null);
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('CLI flags before the ports do not swallow the first port', async (t) => {
+  const { child, port } = await spawnServer();
+
+  try {
+    const output = execSync(`node cli.js --dry-run --json ${port}`, { encoding: 'utf8' });
+    const doc = JSON.parse(output);
+    assert.deepEqual(
+      doc.ports.map((entry) => entry.port),
+      [port]
+    );
+    assert(doc.ports[0].actions.some((a) => a.pid === child.pid && a.action === 'would-kill'));
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('CLI --exclude leaves matching processes alone', async (t) => {
+  const { child, port } = await spawnServer();
+
+  try {
+    const output = execSync(`node cli.js ${port} --force --exclude ${child.pid} --json`, { encoding: 'utf8' });
+    const doc = JSON.parse(output);
+    const action = doc.ports[0].actions.find((a) => a.pid === child.pid);
+    assert.equal(action.action, 'skip');
+    assert.equal(action.reason, 'excluded');
+    assert.equal(doc.summary.killed, 0);
+    assert.equal(child.exitCode, null);
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('CLI rejects an invalid --exclude pattern', (t) => {
+  try {
+    execSync("node cli.js 65535 --exclude '/(/'", { encoding: 'utf8', stdio: 'pipe' });
+    assert.fail('Should have exited with error');
+  } catch (error) {
+    assert.equal(error.status, 1);
+    assert(error.stderr.includes('Invalid pattern'));
+  }
+});
+
+test('CLI watch kills new occupants and prints a summary on SIGINT', { skip: process.platform === 'win32' }, async (t) => {
+  const { child: first, port } = await spawnServer();
+  first.kill('SIGKILL');
+  await new Promise((resolve) => first.once('exit', resolve));
+
+  const args = ['cli.js', 'watch', String(port), '--policy', 'kill', '--interval', '100', '--json'];
+  const watcher = spawn(process.execPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+  watcher.stdout.on('data', (data) => (output += data));
+
+  // Start a new occupant on the watched port once the watcher is running
+  await new Promise((resolve) => setTimeout(resolve, 500));
+  const script = `require('net').createServer().listen(${port}, '127.0.0.1')`;
+  const occupant = spawn(process.execPath, ['-e', script], { stdio: 'ignore' });
+  const exited = new Promise((resolve) => occupant.once('exit', resolve));
+
+  try {
+    await exited;
+    watcher.kill('SIGINT');
+    const code = await new Promise((resolve) => watcher.once('exit', resolve));
+    assert.equal(code, 0);
+
+    const doc = JSON.parse(output);
+    assert.equal(doc.command, 'watch');
+    assert.equal(doc.watch.policy, 'kill');
+    assert(doc.summary.polls > 1);
+    assert.equal(doc.summary.killed, 1);
+    const action = doc.ports[0].actions[0];
+    assert.equal(action.pid, occupant.pid);
+    assert.equal(typeof action.at, 'string');
+  } finally {
+    occupant.kill('SIGKILL');
+    watcher.kill('SIGKILL');
+  }
+});
+
+test('CLI fails instead of killing when stdin ends before an answer', async (t) => {
+  const { child, port } = await spawnServer();
+
+  try {
+    const options = { encoding: 'utf8', stdio: 'pipe', input: '' };
+    assert.throws(
+      () => execSync(`node cli.js ${port} --json -- echo started`, options),
+      (error) => {
+        const doc = JSON.parse(error.stdout);
+        assert.equal(error.status, 3);
+        assert.equal(doc.errors[0].code, 'ENOINPUT');
+        assert.equal(doc.ports[0].actions[0].reason, 'declined');
+        assert(!error.stdout.includes('started\n'));
+        return true;
+      }
+    );
+    assert.equal(child.exitCode, null);
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('CLI --interactive falls back to prompts without a TTY', async (t) => {
+  const { child, port } = await spawnServer();
+
+  try {
+    const output = execSync(`node cli.js ${port} --interactive --json`, { encoding: 'utf8', input: 'n\n' });
+    const doc = JSON.parse(output);
+    const action = doc.ports[0].actions.find((a) => a.pid === child.pid);
+    assert.equal(action.action, 'skip');
+    assert.equal(action.reason, 'declined');
+    assert.equal(child.exitCode, null);
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('CLI --cmd kills a process found by its command line', async (t) => {
+  const script =
+    "require('net').createServer().listen(0, '127.0.0.1', () => console.log('ready')); // portclean-cmd-marker";
+  const child = spawn(process.execPath, ['-e', script], { stdio: ['ignore', 'pipe', 'ignore'] });
+  await new Promise((resolve) => child.stdout.once('data', resolve));
+
+  try {
+    const output = execSync("node cli.js --cmd 'portclean-cmd-marker' --force --json", { encoding: 'utf8' });
+    const doc = JSON.parse(output);
+    assert.equal(doc.ports.length, 1);
+    assert.equal(doc.ports[0].processes[0].pid, child.pid);
+    assert.equal(doc.ports[0].actions[0].action, 'kill');
+    assert.equal(doc.summary.killed, 1);
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('CLI --name --strict exits 2 when nothing matches', (t) => {
+  try {
+    execSync('node cli.js --name no-such-program-xyz --force --strict', { encoding: 'utf8', stdio: 'pipe' });
+    assert.fail('Should have exited with error');
+  } catch (error) {
+    assert.equal(error.status, 2);
+    assert(error.stderr.includes('No process matching --name no-such-program-xyz'));
+  }
+});
+
+test('CLI doctor - reports discovery backends as JSON', () => {
+  const output = execSync('node cli.js doctor --json', { encoding: 'utf8' });
+  const doc = JSON.parse(output);
+  assert.equal(doc.command, 'doctor');
+  assert(doc.backends.some((backend) => backend.status === 'ok'));
+  assert.equal(doc.summary.exitCode, 0);
+});
+
+test('CLI --backend - rejects an unknown backend', () => {
+  assert.throws(
+    () => execSync('node cli.js 3000 --backend nope', { encoding: 'utf8', stdio: 'pipe' }),
+    (error) => error.status === 1 && /Invalid backend nope/.test(error.stderr)
+  );
+});
+
+test('CLI --json reports warnings from --name', () => {
+  const output = execSync('node cli.js --name no-such-program-xyz --force --json', { encoding: 'utf8' });
+  const doc = JSON.parse(output);
+  assert(doc.warnings[0].includes('No process matching --name no-such-program-xyz'));
+  assert.equal(doc.summary.warnings, 1);
+});
+
+test('CLI --sudo - runs as usual when already root', { skip: !process.getuid || process.getuid() !== 0 }, () => {
+  const output = execSync('node cli.js 65535 --force --sudo --json', { encoding: 'utf8' });
+  assert.equal(JSON.parse(output).summary.exitCode, 0);
+});
+
+test('CLI --sudo - refuses a command after --, which would run as root', () => {
+  try {
+    execSync('node cli.js 65535 --sudo --json -- echo started', { encoding: 'utf8', stdio: 'pipe' });
+    assert.fail('Should have exited with error');
+  } catch (error) {
+    assert.equal(error.status, 1);
+    const doc = JSON.parse(error.stdout);
+    assert.equal(doc.errors[0].code, 'EINVALID');
+    assert.match(doc.errors[0].message, /--sudo cannot be used with a command after --/);
+    assert(!error.stdout.includes('started'));
+  }
+});
+
+test('CLI -- starts the command once the port is free', async () => {
+  const { child, port } = await spawnServer();
+  // Fails with EADDRINUSE unless the old occupant is really gone
+  const script = `require('net').createServer().listen(${port}, '127.0.0.1', () => process.exit(5))`;
+  const args = ['cli.js', String(port), '--force', '--', process.execPath, '-e', script];
+  const cli = spawn(process.execPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+  try {
+    const code = await new Promise((resolve) => cli.once('exit', resolve));
+    assert.equal(code, 5);
+  } finally {
+    child.kill('SIGKILL');
+    cli.kill('SIGKILL');
+  }
+});
+
+test('CLI -- forwards signals to the command', { skip: process.platform === 'win32' }, async () => {
+  const script =
+    "process.on('SIGTERM', () => process.exit(7)); console.log('ready'); setInterval(() => {}, 1000);";
+  const cli = spawn(process.execPath, ['cli.js', '65535', '--', process.execPath, '-e', script], {
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  const exited = new Promise((resolve) => cli.once('exit', resolve));
+
+  try {
+    // Resolves early (and the assertion fails) if portclean exits without starting the command
+    await Promise.race([
+      exited,
+      new Promise((resolve) => cli.stdout.on('data', (data) => String(data).includes('ready') && resolve())),
+    ]);
+    cli.kill('SIGTERM');
+    const code = await exited;
+    assert.equal(code, 7);
+  } finally {
+    cli.kill('SIGKILL');
+  }
+});
+
+test('CLI -- does not start the command when a kill is declined', async () => {
+  const { child, port } = await spawnServer();
+
+  try {
+    const command = `node cli.js ${port} -- node -e "process.exit(0)"`;
+    execSync(command, { encoding: 'utf8', input: 'n\n', stdio: 'pipe' });
+    assert.fail('Should have exited with error');
+  } catch (error) {
+    assert.equal(error.status, 3);
+    assert(error.stderr.includes('Not starting node -e process.exit(0)'));
+    assert.equal(child.exitCode, null);
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('CLI -- rejects a missing command', () => {
+  assert.throws(
+    () => execSync('node cli.js 3000 --', { encoding: 'utf8', stdio: 'pipe' }),
+    (error) => error.status === 1 && /Expected a command after --/.test(error.stderr)
+  );
+});
+
+test('CLI free exits 2 and says why when no port is free', async () => {
+  const { child, port } = await spawnServer();
+
+  try {
+    const output = execSync(`node cli.js free ${port} --host 127.0.0.1 --json`, { encoding: 'utf8' });
+    assert.fail(`Should have exited with error: ${output}`);
+  } catch (error) {
+    assert.equal(error.status, 2);
+    const doc = JSON.parse(error.stdout);
+    assert.deepEqual(doc.free, []);
+    assert(doc.busy[0].processes.some((proc) => proc.pid === child.pid));
+  } finally {
+    child.kill();
+  }
+});
+
+test('CLI records kills in the history unless --no-history', async () => {
+  const state = mkdtempSync(join(tmpdir(), 'portclean-state-'));
+  const options = { encoding: 'utf8', stdio: 'pipe', env: { ...process.env, XDG_STATE_HOME: state } };
+  const first = await spawnServer();
+  const second = await spawnServer();
+
+  try {
+    execSync(`node cli.js ${first.port} --force`, options);
+    execSync(`node cli.js ${second.port} --force --no-history`, options);
+    const doc = JSON.parse(execSync('node cli.js history --json', options));
+    assert.deepEqual(
+      doc.records.map((record) => [record.id, record.port, record.pid, record.outcome]),
+      [[1, first.port, first.child.pid, 'killed']]
+    );
+    assert(doc.records[0].argv.includes('-e'));
+    assert.equal(doc.records[0].cwd, process.cwd());
+
+    assert.throws(
+      () => execSync('node cli.js history --restart 7', options),
+      (error) => error.status === 1 && /No history entry 7/.test(error.stderr)
+    );
+  } finally {
+    first.child.kill();
+    second.child.kill();
+    rmSync(state, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,147 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { expandPortSets, loadConfig, mergeOptions, normalizeConfig } from '../lib/config.js';
+import { isolateHistory } from './helpers.js';
+
+// Runs with config defaults like `force` may kill; keep them out of the real history
+isolateHistory();
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+test('loadConfig - walks up to the nearest .portcleanrc', () => {
+  const root = mkdtempSync(join(tmpdir(), 'portclean-config-'));
+  const nested = join(root, 'packages', 'web');
+  mkdirSync(nested, { recursive: true });
+  writeFileSync(join(root, '.portcleanrc'), JSON.stringify({ sets: { dev: [3000, '5173'] } }));
+
+  try {
+    const config = loadConfig(nested);
+    assert.deepEqual(config.sets, { dev: [3000, '5173'] });
+    assert.equal(config.source, join(root, '.portcleanrc'));
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('loadConfig - reads the "portclean" key and skips package.json files without it', () => {
+  const root = mkdtempSync(join(tmpdir(), 'portclean-config-'));
+  const nested = join(root, 'app');
+  mkdirSync(nested);
+  writeFileSync(join(root, 'package.json'), JSON.stringify({ portclean: { defaults: { force: true } } }));
+  writeFileSync(join(nested, 'package.json'), JSON.stringify({ name: 'app' }));
+
+  try {
+    assert.deepEqual(loadConfig(nested).defaults, { force: true });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('loadConfig - reports invalid files', () => {
+  const root = mkdtempSync(join(tmpdir(), 'portclean-config-'));
+  writeFileSync(join(root, '.portcleanrc.json'), '{ not json');
+
+  try {
+    assert.throws(() => loadConfig(root), /Could not read config .*\.portcleanrc\.json/);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('normalizeConfig - validates the shape', () => {
+  assert.deepEqual(normalizeConfig({}, null), { sets: {}, aliases: {}, defaults: {}, ports: {}, source: null });
+  assert.throws(() => normalizeConfig([], 'x'), /expected an object/);
+  assert.throws(() => normalizeConfig({ sets: [] }, 'x'), /"sets" must be an object/);
+  assert.throws(() => normalizeConfig({ ports: { web: {} } }, 'x'), /"ports" entries/);
+  assert.throws(() => normalizeConfig({ aliases: { 3000: '4000' } }, 'x'), /"aliases" entries/);
+  assert.throws(() => normalizeConfig({ aliases: { api: [4000] } }, 'x'), /"aliases" entries/);
+  assert.throws(() => normalizeConfig({ defaults: { json: true } }, 'x'), /"json" can only be given on the command/);
+  assert.throws(() => normalizeConfig({ ports: { 80: { sudo: true } } }, 'x'), /"sudo" can only be given/);
+  assert.deepEqual(normalizeConfig({ aliases: { api: 4000 } }, 'x').aliases, { api: 4000 });
+});
+
+test('expandPortSets - expands named and nested sets', () => {
+  const sets = { web: [3000, '5173'], api: '8080-8085', dev: ['@web', '@api'], loop: ['@loop'] };
+  assert.deepEqual(expandPortSets(['@dev', '9000'], sets), {
+    inputs: ['3000', '5173', '8080-8085', '9000'],
+    errors: [],
+  });
+  assert.deepEqual(expandPortSets(['@nope'], sets).errors, ['Error: Unknown port set @nope']);
+  assert.deepEqual(expandPortSets(['@loop'], sets).errors, ['Error: Port set @loop refers to itself']);
+});
+
+test('mergeOptions - later layers win and exclude lists accumulate', () => {
+  assert.deepEqual(
+    mergeOptions({ force: true, signal: 'SIGINT', exclude: ['postgres'] }, { signal: undefined }, {
+      signal: 'SIGHUP',
+      exclude: 'redis-server',
+    }),
+    { force: true, signal: 'SIGHUP', exclude: ['postgres', 'redis-server'] }
+  );
+});
+
+test('CLI expands @sets and applies config defaults', () => {
+  const root = mkdtempSync(join(tmpdir(), 'portclean-config-'));
+  writeFileSync(
+    join(root, '.portcleanrc'),
+    JSON.stringify({ sets: { dev: [65534, 65535] }, defaults: { force: true, strict: true } })
+  );
+
+  try {
+    execFileSync(process.execPath, [CLI, '@dev', '--json'], { cwd: root, encoding: 'utf8', stdio: 'pipe' });
+    assert.fail('Should have exited with error');
+  } catch (error) {
+    // strict comes from the config: nothing listens on either port
+    assert.equal(error.status, 2);
+    const doc = JSON.parse(error.stdout);
+    assert.deepEqual(
+      doc.ports.map((entry) => entry.port),
+      [65534, 65535]
+    );
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('CLI reports invalid per-port options with their source', () => {
+  const root = mkdtempSync(join(tmpdir(), 'portclean-config-'));
+  writeFileSync(join(root, '.portcleanrc'), JSON.stringify({ ports: { 65535: { signal: 'SIGNOPE' } } }));
+
+  try {
+    execFileSync(process.execPath, [CLI, '65535', '--force'], { cwd: root, encoding: 'utf8', stdio: 'pipe' });
+    assert.fail('Should have exited with error');
+  } catch (error) {
+    assert.equal(error.status, 1);
+    assert(error.stderr.includes('Unknown signal SIGNOPE'));
+    assert(error.stderr.includes('options for port 65535'));
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('CLI resolves config aliases and exclusions', () => {
+  const root = mkdtempSync(join(tmpdir(), 'portclean-config-'));
+  writeFileSync(join(root, '.portcleanrc'), JSON.stringify({ aliases: { spare: '65533-65535' } }));
+  const run = (args) =>
+    execFileSync(process.execPath, [CLI, ...args], { cwd: root, encoding: 'utf8', stdio: 'pipe' });
+
+  try {
+    const doc = JSON.parse(run(['spare,!65534', '--json']));
+    assert.deepEqual(
+      doc.ports.map((entry) => entry.port),
+      [65533, 65535]
+    );
+
+    assert.throws(
+      () => run(['spare', '!spare']),
+      (error) => error.status === 1 && error.stderr.includes('Every port was excluded')
+    );
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,159 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'child_process';
+import { chmodSync, mkdtempSync, readFileSync, rmSync, symlinkSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { delimiter, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  findContainer,
+  isContainerProxy,
+  parseContainerList,
+  parsePublishedPorts,
+  runContainerAction,
+} from '../lib/containers.js';
+import { isolateHistory, spawnServer } from './helpers.js';
+
+// Keep the CLI runs below out of the real history
+isolateHistory();
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+const skip = process.platform === 'win32';
+
+// A fake `docker` CLI: `ps` lists one container publishing `ports`, other commands are logged
+function createFakeDocker(...ports) {
+  const dir = mkdtempSync(join(tmpdir(), 'portclean-docker-'));
+  const log = join(dir, 'calls.log');
+  const published = ports.map((port) => `0.0.0.0:${port}->80/tcp, :::${port}->80/tcp`).join(', ');
+  writeFileSync(
+    join(dir, 'docker'),
+    `#!/bin/sh
+case "$1" in
+  ps) printf 'abc123|web|nginx:latest|${published}\\n' ;;
+  *) echo "$@" >> "${log}" ;;
+esac
+`
+  );
+  chmodSync(join(dir, 'docker'), 0o755);
+  return { dir, log };
+}
+
+test('parsePublishedPorts - single ports, ranges and exposed-only ports', () => {
+  assert.deepEqual(parsePublishedPorts('0.0.0.0:3000->80/tcp, [::]:3000->80/tcp, 5432/tcp'), [
+    { hostIp: '0.0.0.0', port: 3000, protocol: 'tcp' },
+    { hostIp: '::', port: 3000, protocol: 'tcp' },
+  ]);
+  assert.deepEqual(
+    parsePublishedPorts(':::8000-8001->8000-8001/udp').map((p) => p.port),
+    [8000, 8001]
+  );
+  assert.deepEqual(parsePublishedPorts(''), []);
+});
+
+test('parseContainerList - id, name, image and published ports', () => {
+  const output = 'abc123|web|nginx:latest|0.0.0.0:3000->80/tcp\ndef456|db|postgres:16|\n';
+  const containers = parseContainerList(output, 'docker');
+  assert.equal(containers.length, 2);
+  assert.deepEqual(containers[0], {
+    runtime: 'docker',
+    id: 'abc123',
+    name: 'web',
+    image: 'nginx:latest',
+    ports: [{ hostIp: '0.0.0.0', port: 3000, protocol: 'tcp' }],
+  });
+  assert.deepEqual(containers[1].ports, []);
+});
+
+test('isContainerProxy - known proxies, including truncated names', () => {
+  assert.equal(isContainerProxy('docker-proxy'), true);
+  assert.equal(isContainerProxy('/usr/bin/rootlessport'), true);
+  assert.equal(isContainerProxy('com.docker.back'), true);
+  assert.equal(isContainerProxy('node'), false);
+});
+
+test('findContainer and runContainerAction - use the docker CLI on PATH', { skip }, async () => {
+  const { dir, log } = createFakeDocker(3000);
+  const path = process.env.PATH;
+  process.env.PATH = `${dir}${delimiter}${path}`;
+
+  try {
+    const container = findContainer(3000, 'docker-proxy');
+    assert.deepEqual(container, { runtime: 'docker', id: 'abc123', name: 'web', image: 'nginx:latest' });
+    assert.equal(findContainer(3001, 'docker-proxy'), null);
+
+    assert.deepEqual(await runContainerAction(container, 'stop'), { ok: true });
+    assert.deepEqual(await runContainerAction(container, 'rm'), { ok: true });
+    assert.equal(readFileSync(log, 'utf8'), 'stop abc123\nrm -f abc123\n');
+  } finally {
+    process.env.PATH = path;
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('CLI stops the container instead of killing docker-proxy', { skip: process.platform !== 'linux' }, async () => {
+  // A node server started through a symlink called docker-proxy shows up under that name
+  const proxyDir = mkdtempSync(join(tmpdir(), 'portclean-proxy-'));
+  symlinkSync(process.execPath, join(proxyDir, 'docker-proxy'));
+  const { child: proxy, port } = await spawnServer({ program: join(proxyDir, 'docker-proxy') });
+  const { dir, log } = createFakeDocker(port);
+
+  try {
+    const output = execFileSync(process.execPath, [CLI, String(port), '--force', '--json'], {
+      encoding: 'utf8',
+      env: { ...process.env, PATH: `${dir}${delimiter}${process.env.PATH}` },
+    });
+    const doc = JSON.parse(output);
+    assert.equal(doc.ports[0].processes[0].container.name, 'web');
+    const action = doc.ports[0].actions[0];
+    assert.equal(action.action, 'container');
+    assert.equal(action.containerAction, 'stop');
+    assert.equal(action.ok, true);
+    assert.equal(readFileSync(log, 'utf8'), 'stop abc123\n');
+    assert.equal(proxy.exitCode, null, 'the proxy itself must not be signalled');
+
+    // Without a runtime that knows the container, the proxy is protected
+    const unresolved = JSON.parse(
+      execFileSync(process.execPath, [CLI, String(port), '--force', '--json'], {
+        encoding: 'utf8',
+        env: { ...process.env, PATH: dirname(process.execPath) },
+      })
+    );
+    assert.equal(unresolved.ports[0].actions[0].reason, 'protected');
+    assert.equal(unresolved.ports[0].warnings.length, 1);
+  } finally {
+    proxy.kill('SIGKILL');
+    rmSync(dir, { recursive: true, force: true });
+    rmSync(proxyDir, { recursive: true, force: true });
+  }
+});
+
+test('CLI asks about and removes a container once for all of its proxies', { skip: process.platform !== 'linux' }, async () => {
+  const proxyDir = mkdtempSync(join(tmpdir(), 'portclean-proxy-'));
+  const program = join(proxyDir, 'docker-proxy');
+  symlinkSync(process.execPath, program);
+  const first = await spawnServer({ program });
+  const second = await spawnServer({ program });
+  const { dir, log } = createFakeDocker(first.port, second.port);
+
+  try {
+    // A single answer: a second question would find stdin closed and fail the run
+    const ports = [String(first.port), String(second.port)];
+    const result = spawnSync(process.execPath, [CLI, ...ports, '--container-action', 'rm', '--json'], {
+      encoding: 'utf8',
+      input: 'y\n',
+      env: { ...process.env, PATH: `${dir}${delimiter}${process.env.PATH}` },
+    });
+    assert.equal(result.status, 0, result.stdout);
+    const doc = JSON.parse(result.stdout);
+    assert.deepEqual(
+      doc.ports.map((entry) => entry.actions.map(({ action, ok }) => ({ action, ok }))),
+      [[{ action: 'container', ok: true }], [{ action: 'container', ok: true }]]
+    );
+    assert.equal(readFileSync(log, 'utf8'), 'rm -f abc123\n');
+  } finally {
+    first.child.kill('SIGKILL');
+    second.child.kill('SIGKILL');
+    rmSync(dir, { recursive: true, force: true });
+    rmSync(proxyDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { chmodSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { delimiter, join } from 'path';
+import { findProcesses, listSockets } from '../index.js';
+
+const FIRST = 20000;
+const LAST = 20999;
+const skip = process.platform === 'win32';
+
+// A stand-in lsof, first on PATH, that reports a listener on every even port of the range and
+// writes its arguments to a log for every run
+const dir = mkdtempSync(join(tmpdir(), 'portclean-discovery-'));
+const runs = join(dir, 'runs');
+const listing = ['COMMAND PID USER FD TYPE DEVICE SIZE/OFF NODE NAME'];
+for (let port = FIRST; port <= LAST; port += 2) {
+  listing.push(`node ${process.pid} alice 20u IPv4 ${port} 0t0 TCP 127.0.0.1:${port} (LISTEN)`);
+}
+writeFileSync(join(dir, 'listing'), `${listing.join('\n')}\n`);
+writeFileSync(join(dir, 'lsof'), `#!/bin/sh\necho "$@" >> "${runs}"\ncat "${join(dir, 'listing')}"\n`);
+chmodSync(join(dir, 'lsof'), 0o755);
+process.env.PATH = `${dir}${delimiter}${process.env.PATH}`;
+
+const lsofRuns = () => readFileSync(runs, 'utf8').trim().split('\n');
+
+test.after(() => rmSync(dir, { recursive: true, force: true }));
+
+test('findProcesses - looks up a 1000-port range with a single backend run', { skip }, async (t) => {
+  writeFileSync(runs, '');
+  const started = Date.now();
+  const found = await findProcesses(`${FIRST}-${LAST}`, { backend: 'lsof', containers: false });
+  t.diagnostic(`${found.length} ports in ${Date.now() - started}ms`);
+
+  assert.equal(found.length, 1000);
+  assert.equal(found.filter((entry) => entry.processes.length > 0).length, 500);
+  assert.deepEqual(found[0].processes.map((proc) => proc.pid), [process.pid]);
+  assert.deepEqual(found[1].processes, []);
+  assert.deepEqual(lsofRuns(), ['+c 0 -i -n -P']);
+});
+
+test('listSockets - lists a range with a single backend run', { skip }, async () => {
+  writeFileSync(runs, '');
+  const { sockets } = await listSockets([`${FIRST}-${FIRST + 99}`, `${LAST}`], { backend: 'lsof' });
+
+  assert.equal(sockets.length, 50);
+  assert.equal(lsofRuns().length, 1);
+});
+
+test('findProcesses - asks about a single port directly', { skip }, async () => {
+  writeFileSync(runs, '');
+  const [entry] = await findProcesses(FIRST, { backend: 'lsof', containers: false });
+
+  assert.deepEqual(entry.processes.map((proc) => proc.pid), [process.pid]);
+  assert.deepEqual(lsofRuns(), [`+c 0 -i:${FIRST} -n -P`]);
+});
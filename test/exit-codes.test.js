@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EXIT_CODES, exitCodeFor } from '../lib/exit-codes.js';
+import { createReporter } from '../lib/reporter.js';
+
+const summary = (overrides = {}) => ({
+  ports: 1,
+  found: 1,
+  notFound: 0,
+  killed: 1,
+  failed: 0,
+  denied: 0,
+  skipped: 0,
+  unreleased: 0,
+  errors: 0,
+  ...overrides,
+});
+
+test('exitCodeFor - everything killed', () => {
+  assert.equal(exitCodeFor(summary()), EXIT_CODES.OK);
+});
+
+test('exitCodeFor - nothing found only fails in strict mode', () => {
+  const empty = summary({ found: 0, notFound: 1, killed: 0 });
+  assert.equal(exitCodeFor(empty), EXIT_CODES.OK);
+  assert.equal(exitCodeFor(empty, { strict: true }), EXIT_CODES.NOT_FOUND);
+});
+
+test('exitCodeFor - failed kills, ports still in use and discovery errors are partial failures', () => {
+  assert.equal(exitCodeFor(summary({ failed: 1 })), EXIT_CODES.PARTIAL_FAILURE);
+  assert.equal(exitCodeFor(summary({ errors: 1 })), EXIT_CODES.PARTIAL_FAILURE);
+  assert.equal(exitCodeFor(summary({ unreleased: 1 })), EXIT_CODES.PARTIAL_FAILURE);
+});
+
+test('exitCodeFor - permission denied wins over other failures', () => {
+  assert.equal(exitCodeFor(summary({ failed: 2, denied: 1 })), EXIT_CODES.PERMISSION_DENIED);
+});
+
+test('exitCodeFor - a port held by a process that cannot be inspected is a permission problem', () => {
+  const hidden = summary({ found: 0, notFound: 1, killed: 0, hidden: 1 });
+  assert.equal(exitCodeFor(hidden), EXIT_CODES.PERMISSION_DENIED);
+});
+
+test('exitCodeFor - invalid input wins over everything', () => {
+  assert.equal(exitCodeFor(summary({ failed: 1, denied: 1 }), { invalidInput: true }), EXIT_CODES.INVALID_INPUT);
+});
+
+test('exitCodeFor - declined processes are not failures', () => {
+  assert.equal(exitCodeFor(summary({ killed: 0, skipped: 1 }), { strict: true }), EXIT_CODES.OK);
+});
+
+test('exitCodeFor - a process that exited before its kill is not a failure', () => {
+  const reporter = createReporter('json', 'kill');
+  reporter.emit({ type: 'port', port: 3000, processes: [{ pid: 4242, command: 'node' }], warnings: [] });
+  reporter.emit({
+    type: 'action',
+    port: 3000,
+    pid: 4242,
+    command: 'node',
+    action: 'kill',
+    ok: false,
+    reason: 'gone',
+    error: { code: 'ESRCH', message: 'kill ESRCH' },
+  });
+  assert.equal(reporter.summary.failed, 0);
+  assert.equal(reporter.summary.gone, 1);
+  assert.equal(exitCodeFor(reporter.summary), EXIT_CODES.OK);
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesFilters, normalizeAddress, normalizeFilters } from '../lib/filters.js';
+
+const socket = (overrides) => ({
+  protocol: 'tcp',
+  family: 4,
+  address: '127.0.0.1',
+  port: 3000,
+  state: 'LISTEN',
+  pid: 100,
+  command: 'node',
+  ...overrides,
+});
+
+test('normalizeFilters - defaults to listening sockets', () => {
+  assert.deepEqual(normalizeFilters(), { state: 'listen' });
+  assert.deepEqual(normalizeFilters({ protocol: 'UDP', family: 'ipv6', host: '::1', state: 'any' }), {
+    protocol: 'udp',
+    family: 6,
+    host: '::1',
+    state: 'any',
+  });
+});
+
+test('normalizeFilters - rejects invalid values', () => {
+  assert.throws(() => normalizeFilters({ protocol: 'sctp' }), /Invalid protocol sctp/);
+  assert.throws(() => normalizeFilters({ family: 5 }), /Invalid address family 5/);
+  assert.throws(() => normalizeFilters({ host: '' }), /Invalid host/);
+  assert.throws(() => normalizeFilters({ state: 'closed' }), /Invalid state closed/);
+});
+
+test('normalizeAddress - strips brackets, zones and IPv4-mapped prefixes', () => {
+  assert.equal(normalizeAddress('[::1]'), '::1');
+  assert.equal(normalizeAddress('fe80::1%eth0'), 'fe80::1');
+  assert.equal(normalizeAddress('::ffff:127.0.0.1'), '127.0.0.1');
+});
+
+test('matchesFilters - state', () => {
+  const filters = normalizeFilters();
+  assert.equal(matchesFilters(socket(), filters), true);
+  assert.equal(matchesFilters(socket({ state: 'ESTABLISHED' }), filters), false);
+  assert.equal(matchesFilters(socket({ protocol: 'udp', state: '' }), filters), true);
+  assert.equal(matchesFilters(socket({ protocol: 'udp', state: 'CLOSE' }), filters), true);
+
+  const established = normalizeFilters({ state: 'established' });
+  assert.equal(matchesFilters(socket({ state: 'ESTABLISHED' }), established), true);
+  assert.equal(matchesFilters(socket(), established), false);
+
+  const any = normalizeFilters({ state: 'any' });
+  assert.equal(matchesFilters(socket({ state: 'TIME_WAIT' }), any), true);
+});
+
+test('matchesFilters - protocol and family', () => {
+  assert.equal(matchesFilters(socket(), normalizeFilters({ protocol: 'udp' })), false);
+  assert.equal(matchesFilters(socket(), normalizeFilters({ protocol: 'tcp' })), true);
+  assert.equal(matchesFilters(socket(), normalizeFilters({ family: 6 })), false);
+  assert.equal(matchesFilters(socket({ family: 6, address: '::1' }), normalizeFilters({ family: 6 })), true);
+});
+
+test('matchesFilters - host matches exact and wildcard binds', () => {
+  const filters = normalizeFilters({ host: '127.0.0.1' });
+  assert.equal(matchesFilters(socket(), filters), true);
+  assert.equal(matchesFilters(socket({ address: '*' }), filters), true);
+  assert.equal(matchesFilters(socket({ address: '::', family: 6 }), filters), true);
+  assert.equal(matchesFilters(socket({ address: '192.168.1.5' }), filters), false);
+
+  const localhost = normalizeFilters({ host: 'localhost' });
+  assert.equal(matchesFilters(socket({ address: '::1', family: 6 }), localhost), true);
+  assert.equal(matchesFilters(socket({ address: '10.0.0.1' }), localhost), false);
+});
@@ -0,0 +1,35 @@
+import test from 'node:test';
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Listens on a free loopback port and prints the port number
+const SERVER_SCRIPT =
+  "const s = require('net').createServer().listen(0, '127.0.0.1', () => console.log(s.address().port));";
+
+/**
+ * Start a child that prints the port it listens on; resolves to `{ child, port }` once it is listening.
+ * `options.program` runs the script instead of node, `options.script` replaces the server script.
+ */
+function spawnServer(options = {}) {
+  const program = options.program || process.execPath;
+  const child = spawn(program, ['-e', options.script || SERVER_SCRIPT], { stdio: ['ignore', 'pipe', 'ignore'] });
+  return new Promise((resolve) => {
+    child.stdout.once('data', (data) => resolve({ child, port: parseInt(String(data), 10) }));
+  });
+}
+
+/**
+ * Keep the kills of this test file out of the user's history: point the history file (for this
+ * process and the CLI runs that inherit its environment) at a temporary directory
+ */
+function isolateHistory() {
+  const state = mkdtempSync(join(tmpdir(), 'portclean-state-'));
+  process.env.XDG_STATE_HOME = state;
+  process.env.LOCALAPPDATA = state;
+  test.after(() => rmSync(state, { recursive: true, force: true }));
+  return state;
+}
+
+export { SERVER_SCRIPT, isolateHistory, spawnServer };
@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, existsSync, mkdtempSync, readFileSync, rmSync, statSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MAX_ENTRIES, historyFile, readHistory, recordKill, restartProcess } from '../lib/history.js';
+
+const KILLED = { port: 3000, pid: 4242, command: 'node', signal: 'SIGTERM', outcome: 'killed', escalated: false };
+
+test('historyFile - follows XDG_STATE_HOME and LOCALAPPDATA', () => {
+  assert.equal(historyFile({ XDG_STATE_HOME: '/state' }, 'linux'), join('/state', 'portclean', 'history.jsonl'));
+  const fallback = historyFile({ XDG_STATE_HOME: 'relative' }, 'linux');
+  assert(fallback.endsWith(join('.local', 'state', 'portclean', 'history.jsonl')));
+  assert.equal(historyFile({ LOCALAPPDATA: '/appdata' }, 'win32'), join('/appdata', 'portclean', 'history.jsonl'));
+});
+
+test('recordKill and readHistory - append entries with increasing ids', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'portclean-history-'));
+  const file = join(dir, 'nested', 'history.jsonl');
+
+  try {
+    assert.deepEqual(readHistory(file), []);
+    const first = recordKill(KILLED, file);
+    const second = recordKill({ ...KILLED, pid: 4343, outcome: 'permission' }, file);
+    assert.equal(first.id, 1);
+    assert.equal(second.id, 2);
+    assert.equal(typeof first.time, 'string');
+
+    writeFileSync(file, `${readFileSync(file, 'utf8')}{"id":\n`);
+    assert.deepEqual(
+      readHistory(file).map((entry) => [entry.id, entry.pid, entry.outcome]),
+      [
+        [1, 4242, 'killed'],
+        [2, 4343, 'permission'],
+      ]
+    );
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('recordKill - continues from ids other runs appended', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'portclean-history-'));
+  const file = join(dir, 'history.jsonl');
+
+  try {
+    assert.equal(recordKill(KILLED, file).id, 1);
+    appendFileSync(file, `${JSON.stringify({ id: 2, ...KILLED })}\n`);
+    assert.equal(recordKill(KILLED, file).id, 3);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('recordKill - creates the file readable by its owner only', { skip: process.platform === 'win32' }, () => {
+  const dir = mkdtempSync(join(tmpdir(), 'portclean-history-'));
+  const file = join(dir, 'history.jsonl');
+
+  try {
+    recordKill(KILLED, file);
+    assert.equal(statSync(file).mode & 0o777, 0o600);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('recordKill - keeps the newest entries and their ids', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'portclean-history-'));
+  const file = join(dir, 'history.jsonl');
+  const old = Array.from({ length: MAX_ENTRIES }, (_, idx) => JSON.stringify({ id: idx + 1, ...KILLED }));
+  writeFileSync(file, `${old.join('\n')}\n`);
+
+  try {
+    assert.equal(recordKill(KILLED, file).id, MAX_ENTRIES + 1);
+    const entries = readHistory(file);
+    assert.equal(entries.length, MAX_ENTRIES);
+    assert.equal(entries[0].id, 2);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('restartProcess - starts the recorded argv in the recorded cwd', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'portclean-history-'));
+  const script = "require('fs').writeFileSync('started', process.cwd())";
+
+  try {
+    const pid = await restartProcess({ ...KILLED, argv: [process.execPath, '-e', script], cwd: dir });
+    assert(Number.isInteger(pid));
+    const deadline = Date.now() + 5000;
+    while (!existsSync(join(dir, 'started')) && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    assert.equal(readFileSync(join(dir, 'started'), 'utf8'), dir);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('restartProcess - refuses entries it cannot restart', async () => {
+  await assert.rejects(restartProcess({ ...KILLED, outcome: 'permission', argv: ['node'] }), /was not killed/);
+  await assert.rejects(restartProcess({ ...KILLED, argv: [] }), { code: 'EINVALID' });
+  await assert.rejects(restartProcess({ ...KILLED, argv: ['node'], cwd: '/no/such/dir' }), /no longer exists/);
+  await assert.rejects(restartProcess({ ...KILLED, argv: ['portclean-no-such-program'] }), { code: 'ENOENT' });
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { classifyKillError, normalizeSignal, killProcess } from '../lib/kill.js';
+
+const isWindows = process.platform === 'win32';
+
+function spawnIdle(ignoreSigterm = false) {
+  const script = ignoreSigterm
+    ? "process.on('SIGTERM', () => {}); console.log('ready'); setInterval(() => {}, 1000);"
+    : "console.log('ready'); setInterval(() => {}, 1000);";
+  const child = spawn(process.execPath, ['-e', script], { stdio: ['ignore', 'pipe', 'ignore'] });
+  return new Promise((resolve) => child.stdout.once('data', () => resolve(child)));
+}
+
+test('normalizeSignal - defaults to SIGTERM', () => {
+  assert.equal(normalizeSignal(undefined), 'SIGTERM');
+  assert.equal(normalizeSignal(''), 'SIGTERM');
+});
+
+test('normalizeSignal - accepts names with or without SIG prefix', () => {
+  assert.equal(normalizeSignal('SIGINT'), 'SIGINT');
+  assert.equal(normalizeSignal('int'), 'SIGINT');
+  assert.equal(normalizeSignal('kill'), 'SIGKILL');
+});
+
+test('normalizeSignal - accepts signal numbers', () => {
+  assert.equal(normalizeSignal('9'), 'SIGKILL');
+  assert.equal(normalizeSignal(15), 'SIGTERM');
+});
+
+test('normalizeSignal - rejects unknown signals', () => {
+  assert.throws(() => normalizeSignal('SIGNOPE'), /Unknown signal SIGNOPE/);
+  assert.throws(() => normalizeSignal('999'), /Unknown signal 999/);
+});
+
+test('killProcess - stops a process with SIGTERM', { skip: isWindows }, async () => {
+  const child = await spawnIdle();
+  const result = await killProcess(child.pid, 'node', { timeout: 2000 });
+  assert.equal(result.killed, true);
+  assert.equal(result.signal, 'SIGTERM');
+});
+
+test('killProcess - escalates to SIGKILL after the timeout', { skip: isWindows }, async () => {
+  const child = await spawnIdle(true);
+  const result = await killProcess(child.pid, 'node', { timeout: 300 });
+  assert.equal(result.killed, true);
+  assert.equal(result.signal, 'SIGKILL');
+});
+
+test('killProcess - reports failure for a missing process', async () => {
+  const child = await spawnIdle();
+  child.kill('SIGKILL');
+  await new Promise((resolve) => child.once('exit', resolve));
+  const result = await killProcess(child.pid, 'node', { timeout: 100 });
+  assert.equal(result.killed, false);
+  assert(result.error instanceof Error);
+  assert.equal(result.reason, 'gone');
+});
+
+test('classifyKillError - tells permission problems apart', () => {
+  const failure = (code) => Object.assign(new Error(code), { code });
+  assert.equal(classifyKillError(failure('EPERM')), 'permission');
+  assert.equal(classifyKillError(failure('EACCES')), 'permission');
+  assert.equal(classifyKillError(failure('ESRCH')), 'gone');
+  assert.equal(classifyKillError(failure('ETIMEDOUT')), 'timeout');
+  assert.equal(classifyKillError(new Error('taskkill failed')), 'error');
+});
@@ -183,11 +183,11 @@ test('parsePorts - Negative port number', () => {
   assert(result.errors[0].includes('Invalid port'));
 });
 
-test('parsePorts - Floating point port (parsed as integer)', () => {
+test('parsePorts - Floating point port is rejected', () => {
   const result = parsePorts(['3000.5']);
-  // parseInt will parse "3000.5" as 3000, so this is valid
-  assert.deepStrictEqual(result.ports, [3000]);
-  assert.deepStrictEqual(result.errors, []);
+  assert.deepStrictEqual(result.ports, []);
+  assert.deepStrictEqual(result.errors.length, 1);
+  assert(result.errors[0].includes('Error: Invalid port 3000.5'));
 });
 
 test('parsePorts - Port with leading zeros', () => {
@@ -221,7 +221,7 @@ test('parsePorts - Range starting at 1', () => {
 });
 
 test('parsePorts - Whitespace handling (single space in range)', () => {
-  // parseInt tolerates whitespace, so this range is accepted
+  // Spaces around the dash are tolerated
   const result = parsePorts(['3000 - 3005']);
   assert.deepStrictEqual(result.ports.sort((a, b) => a - b), [3000, 3001, 3002, 3003, 3004, 3005]);
   assert.deepStrictEqual(result.errors, []);
@@ -233,3 +233,70 @@ test('parsePorts - Error messages include port/range details', () => {
   assert(result.errors[0].includes('Error: Invalid port'));
   assert(result.errors[0].includes('99999'));
 });
+
+test('parsePorts - Trailing junk is rejected', () => {
+  const result = parsePorts(['3000abc', '3000-3010-3020', '3000-']);
+  assert.deepStrictEqual(result.ports, []);
+  assert.deepStrictEqual(result.errors.length, 3);
+  assert(result.errors[0].startsWith('Error: Invalid port 3000abc'));
+  assert(result.errors[1].startsWith('Error: Invalid port range 3000-3010-3020'));
+  assert(result.errors[2].startsWith('Error: Invalid port range 3000-'));
+});
+
+test('parsePorts - Comma-separated lists', () => {
+  const result = parsePorts(['3000,3002-3003', '8080, 9000']);
+  assert.deepStrictEqual(result.ports, [3000, 3002, 3003, 8080, 9000]);
+  assert.deepStrictEqual(result.errors, []);
+});
+
+test('parsePorts - Errors name the offending entry of a list', () => {
+  const result = parsePorts(['3000,30o1,3002', '4000,,4001']);
+  assert.deepStrictEqual(result.ports, [3000, 3002, 4000, 4001]);
+  assert.deepStrictEqual(result.errors, [
+    'Error: Invalid port 30o1 in 3000,30o1,3002 (not a number, a range or a known alias)',
+    'Error: Empty port entry in 4000,,4001',
+  ]);
+});
+
+test('parsePorts - Exclusions apply to every input', () => {
+  const result = parsePorts(['3000-3005,!3002', '!3004-3005', '!9000']);
+  assert.deepStrictEqual(result.ports, [3000, 3001, 3003]);
+  assert.deepStrictEqual(result.errors, []);
+});
+
+test('parsePorts - Protocol suffixes', () => {
+  const result = parsePorts(['53/udp', '3000/TCP', '8080', '8080/udp', '5000', '!5000/tcp']);
+  assert.deepStrictEqual(result.ports, [53, 3000, 8080, 5000]);
+  assert.deepStrictEqual(result.protocols, { 53: 'udp', 3000: 'tcp', 5000: 'udp' });
+  assert.deepStrictEqual(result.errors, []);
+});
+
+test('parsePorts - Invalid protocol', () => {
+  const result = parsePorts(['53/sctp']);
+  assert.deepStrictEqual(result.ports, []);
+  assert.deepStrictEqual(result.errors, ['Error: Invalid protocol sctp in 53/sctp (expected tcp or udp)']);
+});
+
+test('parsePorts - Well-known aliases', () => {
+  const result = parsePorts(['postgres,Redis', 'vite', 'next/tcp', '!storybook']);
+  assert.deepStrictEqual(result.ports, [5432, 6379, 5173, 3000]);
+  assert.deepStrictEqual(result.protocols, { 3000: 'tcp' });
+});
+
+test('parsePorts - User-defined aliases', () => {
+  const aliases = { api: 4000, web: '8000-8001,8080', dns: '53/udp', postgres: '5433', broken: '80x' };
+  const result = parsePorts(['api,web', 'dns', 'postgres', 'broken'], { aliases });
+  assert.deepStrictEqual(result.ports, [4000, 8000, 8001, 8080, 53, 5433]);
+  assert.deepStrictEqual(result.protocols, { 53: 'udp' });
+  assert.deepStrictEqual(result.errors, ['Error: Invalid alias broken (Invalid port 80x)']);
+});
+
+test('parsePorts - Object property names are not aliases', () => {
+  const result = parsePorts(['constructor', '__proto__', 'toString/udp']);
+  assert.deepStrictEqual(result.ports, []);
+  assert.deepStrictEqual(result.errors, [
+    'Error: Invalid port constructor (not a number, a range or a known alias)',
+    'Error: Invalid port __proto__ (not a number, a range or a known alias)',
+    'Error: Invalid port toString (not a number, a range or a known alias)',
+  ]);
+});
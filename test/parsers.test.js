@@ -1,5 +1,16 @@
 import test from 'node:test';
 import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import {
+  parseFuserOutput,
+  parseLsofSockets,
+  parseNetstatSockets,
+  parsePowerShellSockets,
+  parseSsSockets,
+  parseWindowsNetstatSockets,
+} from '../lib/parsers.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
 
 test('Parse lsof output', (t) => {
   // Import the function by reading and executing
@@ -147,3 +158,119 @@ test('Confirmation input parsing', (t) => {
   assert.equal(isYes(''), false);
   assert.equal(isYes(' y'), false);
 });
+
+
+test('parseLsofSockets - local address, protocol and state', () => {
+  const output = `COMMAND     PID   USER   FD   TYPE     DEVICE SIZE/OFF NODE NAME
+node      12345   user    4u  IPv4 0x1234567   0t0  TCP *:3000 (LISTEN)
+node      12345   user    5u  IPv6 0x7654321   0t0  TCP [::1]:3001 (LISTEN)
+chrome    54321   user   10u  IPv4 0xabcdefg   0t0  TCP 127.0.0.1:51000->127.0.0.1:3000 (ESTABLISHED)
+dnsmasq     999   root    6u  IPv4      12345   0t0  UDP 127.0.0.1:53`;
+
+  assert.deepEqual(parseLsofSockets(output), [
+    { protocol: 'tcp', family: 4, address: '*', port: 3000, state: 'LISTEN', pid: 12345, command: 'node' },
+    { protocol: 'tcp', family: 6, address: '::1', port: 3001, state: 'LISTEN', pid: 12345, command: 'node' },
+    { protocol: 'tcp', family: 4, address: '127.0.0.1', port: 51000, state: 'ESTABLISHED', pid: 54321, command: 'chrome' },
+    { protocol: 'udp', family: 4, address: '127.0.0.1', port: 53, state: '', pid: 999, command: 'dnsmasq' },
+  ]);
+});
+
+test('parseNetstatSockets - TCP, TCP6 and UDP rows (Linux)', () => {
+  const output = `Active Internet connections (servers and established)
+Proto Recv-Q Send-Q Local Address           Foreign Address         State       PID/Program name
+tcp        0      0 0.0.0.0:3000            0.0.0.0:*               LISTEN      12345/node
+tcp        0      0 0.0.0.0:2024            0.0.0.0:*               LISTEN      -
+tcp6       0      0 :::8080                 :::*                    LISTEN      54321/python3
+udp        0      0 127.0.0.1:53            0.0.0.0:*                           999/dnsmasq
+Active UNIX domain sockets (servers and established)
+Proto RefCnt Flags       Type       State         I-Node   PID/Program name     Path
+unix  3      [ ]         STREAM     CONNECTED     659      -`;
+
+  assert.deepEqual(parseNetstatSockets(output), [
+    { protocol: 'tcp', family: 4, address: '0.0.0.0', port: 3000, state: 'LISTEN', pid: 12345, command: 'node' },
+    { protocol: 'tcp', family: 6, address: '::', port: 8080, state: 'LISTEN', pid: 54321, command: 'python3' },
+    { protocol: 'udp', family: 4, address: '127.0.0.1', port: 53, state: '', pid: 999, command: 'dnsmasq' },
+  ]);
+});
+
+test('parseWindowsNetstatSockets - TCP and UDP rows', () => {
+  const output = `
+Active Connections
+
+  Proto  Local Address          Foreign Address        State           PID
+  TCP    0.0.0.0:3000           0.0.0.0:0              LISTENING       12345
+  TCP    [::]:8080              [::]:0                 LISTENING       54321
+  TCP    127.0.0.1:51000        127.0.0.1:3000         ESTABLISHED     777
+  UDP    0.0.0.0:5353           *:*                                    888`;
+
+  assert.deepEqual(parseWindowsNetstatSockets(output), [
+    { protocol: 'tcp', family: 4, address: '0.0.0.0', port: 3000, state: 'LISTEN', pid: 12345 },
+    { protocol: 'tcp', family: 6, address: '::', port: 8080, state: 'LISTEN', pid: 54321 },
+    { protocol: 'tcp', family: 4, address: '127.0.0.1', port: 51000, state: 'ESTABLISHED', pid: 777 },
+    { protocol: 'udp', family: 4, address: '0.0.0.0', port: 5353, state: '', pid: 888 },
+  ]);
+});
+
+test('parseFuserOutput - one socket per PID', () => {
+  assert.deepEqual(parseFuserOutput('  4242  4343 4242\n', 'tcp', 3000), [
+    { protocol: 'tcp', address: '', port: 3000, state: '', pid: 4242 },
+    { protocol: 'tcp', address: '', port: 3000, state: '', pid: 4343 },
+  ]);
+  assert.deepEqual(parseFuserOutput('', 'udp', 53), []);
+});
+
+test('parsePowerShellSockets - TCP and UDP rows', () => {
+  const output = [
+    'tcp|0.0.0.0|3000|Listen|12345|node',
+    'tcp|::|8080|Listen|54321|python',
+    'tcp|127.0.0.1|51000|TimeWait|0|',
+    'udp|0.0.0.0|5353||888|mDNSResponder',
+  ].join('\r\n');
+
+  assert.deepEqual(parsePowerShellSockets(output), [
+    { protocol: 'tcp', family: 4, address: '0.0.0.0', port: 3000, state: 'LISTEN', pid: 12345, command: 'node' },
+    { protocol: 'tcp', family: 6, address: '::', port: 8080, state: 'LISTEN', pid: 54321, command: 'python' },
+    { protocol: 'udp', family: 4, address: '0.0.0.0', port: 5353, state: '', pid: 888, command: 'mDNSResponder' },
+  ]);
+});
+
+test('parseSsSockets - one entry per socket and owning process', () => {
+  const sockets = parseSsSockets(fixture('ss-tulpn.txt'));
+
+  // nginx shares port 80 between two workers (one of them twice); each PID is listed once
+  assert.deepEqual(
+    sockets.filter((socket) => socket.port === 80),
+    [
+      { protocol: 'tcp', family: 4, address: '0.0.0.0', port: 80, state: 'LISTEN', pid: 1201, command: 'nginx' },
+      { protocol: 'tcp', family: 4, address: '0.0.0.0', port: 80, state: 'LISTEN', pid: 1200, command: 'nginx' },
+    ]
+  );
+  // Sockets without a users column (not inspectable, or in TIME-WAIT) are skipped
+  assert(!sockets.some((socket) => socket.port === 2024 || socket.port === 51002));
+});
+
+test('parseSsSockets - IPv6, interface scopes and wildcards', () => {
+  const byPort = (port) => parseSsSockets(fixture('ss-tulpn.txt')).find((socket) => socket.port === port);
+
+  assert.deepEqual(byPort(8080), {
+    protocol: 'tcp',
+    family: 6,
+    address: '::',
+    port: 8080,
+    state: 'LISTEN',
+    pid: 5151,
+    command: 'Web Content',
+  });
+  assert.equal(byPort(9090).address, 'fe80::1');
+  assert.deepEqual([byPort(3000).address, byPort(3000).family], ['*', 6]);
+});
+
+test('parseSsSockets - UDP sockets', () => {
+  const udp = parseSsSockets(fixture('ss-tulpn.txt')).filter((socket) => socket.protocol === 'udp');
+
+  assert.deepEqual(udp, [
+    { protocol: 'udp', family: 4, address: '127.0.0.53', port: 53, state: '', pid: 512, command: 'systemd-resolve' },
+    { protocol: 'udp', family: 6, address: '::1', port: 39222, state: '', pid: 20977, command: 'node' },
+    { protocol: 'udp', family: 4, address: '192.168.1.20', port: 41000, state: 'ESTABLISHED', pid: 3030, command: 'dig' },
+  ]);
+});
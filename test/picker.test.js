@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyKey, createPickerState, renderPicker } from '../lib/picker.js';
+
+const press = (state, ...names) => names.reduce((current, name) => applyKey(current, { name }), state);
+
+test('applyKey - moves the cursor and wraps around', () => {
+  const state = createPickerState(3);
+  assert.equal(press(state, 'down').cursor, 1);
+  assert.equal(press(state, 'down', 'down', 'down').cursor, 0);
+  assert.equal(press(state, 'up').cursor, 2);
+  assert.equal(press(state, 'j', 'j', 'k').cursor, 1);
+});
+
+test('applyKey - toggles one item or all of them', () => {
+  const state = createPickerState(3);
+  assert.deepEqual(state.checked, [true, true, true]);
+  assert.deepEqual(press(state, 'down', 'space').checked, [true, false, true]);
+  assert.deepEqual(press(state, 'a').checked, [false, false, false]);
+  assert.deepEqual(press(state, 'space', 'a').checked, [true, true, true]);
+});
+
+test('applyKey - enter confirms, escape and ctrl+c cancel', () => {
+  const state = createPickerState(2);
+  assert.deepEqual(press(state, 'return'), { ...state, done: true });
+  assert.equal(press(state, 'escape').cancelled, true);
+  const interrupted = applyKey(state, { name: 'c', ctrl: true });
+  assert.equal(interrupted.cancelled, true);
+  assert.equal(interrupted.interrupted, true);
+  assert.equal(applyKey(state, { name: 'c' }).done, false);
+});
+
+test('renderPicker - marks the cursor and the checked items', () => {
+  const state = press(createPickerState(2), 'down', 'space');
+  const lines = renderPicker('Pick', ['port 3000  PID 1  node', 'port 3001  PID 2  vite'], state);
+  assert.equal(lines.length, 4);
+  assert(lines[2].includes('[x]') && lines[2].includes('PID 1'));
+  assert(lines[3].includes('❯') && lines[3].includes('[ ]') && lines[3].includes('PID 2'));
+});
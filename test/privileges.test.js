@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { elevationHint, isElevated, sudoCommand } from '../lib/privileges.js';
+
+test('sudoCommand - re-runs the same node and script without --sudo', () => {
+  const { file, args } = sudoCommand('/opt/portclean/cli.js', ['80', '--sudo', '--force']);
+  assert.equal(file, 'sudo');
+  assert.deepEqual(args, [
+    '--',
+    process.execPath,
+    ...process.execArgv,
+    '/opt/portclean/cli.js',
+    '80',
+    '--force',
+  ]);
+});
+
+test('sudoCommand - never passes on a command after --', () => {
+  const { args } = sudoCommand('cli.js', ['3000', '--sudo', '--', 'npm', 'start']);
+  assert.deepEqual(args.slice(-2), ['cli.js', '3000']);
+  assert(!args.includes('npm'));
+});
+
+test('elevationHint - suggests --sudo, or an elevated prompt on Windows', () => {
+  assert.match(elevationHint('linux'), /--sudo/);
+  assert.match(elevationHint('darwin'), /--sudo/);
+  assert.match(elevationHint('win32'), /Run as administrator/);
+});
+
+test('isElevated - matches the effective user on POSIX', { skip: process.platform === 'win32' }, () => {
+  assert.equal(isElevated(), process.getuid() === 0);
+});
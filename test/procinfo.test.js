@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { homedir } from 'os';
+import { join } from 'path';
+import {
+  describeProcess,
+  formatBytes,
+  formatDuration,
+  getProcessInfo,
+  parseLsofCwd,
+  parseProcStat,
+  parsePsInfo,
+  parseWindowsProcessInfo,
+  splitCommandLine,
+} from '../lib/procinfo.js';
+
+test('parseProcStat - parent PID and start ticks, even with odd command names', () => {
+  const stat =
+    '4242 (node (dev) x) S 4200 4242 4200 34816 4242 4194304 1200 0 0 0 31 7 0 0 20 0 11 0 ' +
+    '987654 1140019200 11211 18446744073709551615';
+  assert.deepEqual(parseProcStat(stat), { ppid: 4200, startTicks: 987654 });
+});
+
+test('parsePsInfo - macOS ps output', () => {
+  const output = `
+  4242 alice     4200  146432 Mon Oct 19 10:00:00 2026     node server.js --port 3000
+    88 _mdnsresponder 1   5120 Tue Oct  6 08:15:02 2026     /usr/sbin/mDNSResponder`;
+
+  const infos = parsePsInfo(output);
+  const node = infos.get(4242);
+  assert.equal(node.user, 'alice');
+  assert.equal(node.ppid, 4200);
+  assert.equal(node.rss, 146432 * 1024);
+  assert.equal(node.cmdline, 'node server.js --port 3000');
+  assert.deepEqual(node.argv, ['node', 'server.js', '--port', '3000']);
+  assert.equal(new Date(node.startTime).getFullYear(), 2026);
+  assert.equal(typeof node.uptime, 'number');
+  assert.equal(infos.get(88).cmdline, '/usr/sbin/mDNSResponder');
+});
+
+test('parseLsofCwd - working directories by PID', () => {
+  const output = 'p4242\nfcwd\nn/Users/alice/app\np88\nfcwd\nn/\n';
+  assert.deepEqual(
+    parseLsofCwd(output),
+    new Map([
+      [4242, '/Users/alice/app'],
+      [88, '/'],
+    ])
+  );
+});
+
+test('parseWindowsProcessInfo - PowerShell CIM output', () => {
+  const output =
+    '4242|4200|150994944|2026-10-19T10:00:00.0000000Z|alice|"C:\\Program Files\\nodejs\\node.exe" server.js|x\r\n' +
+    '4|0|0||SYSTEM|\r\n';
+
+  const infos = parseWindowsProcessInfo(output);
+  const node = infos.get(4242);
+  assert.equal(node.user, 'alice');
+  assert.equal(node.ppid, 4200);
+  assert.equal(node.rss, 150994944);
+  assert.equal(node.startTime, '2026-10-19T10:00:00.000Z');
+  assert.equal(node.cmdline, '"C:\\Program Files\\nodejs\\node.exe" server.js|x');
+  assert.deepEqual(node.argv, ['C:\\Program Files\\nodejs\\node.exe', 'server.js|x']);
+  assert.equal(infos.get(4).startTime, null);
+});
+
+test('splitCommandLine - keeps quoted arguments together', () => {
+  assert.deepEqual(splitCommandLine('node  server.js --name="my app"'), ['node', 'server.js', '--name=my app']);
+  assert.deepEqual(splitCommandLine(''), []);
+});
+
+test('formatDuration and formatBytes', () => {
+  assert.equal(formatDuration(0), '0s');
+  assert.equal(formatDuration(45 * 1000), '45s');
+  assert.equal(formatDuration((2 * 60 + 5) * 60 * 1000 + 7000), '2h 5m');
+  assert.equal(formatDuration(3 * 86400000 + 3600000), '3d 1h');
+  assert.equal(formatBytes(512 * 1024), '512 KB');
+  assert.equal(formatBytes(143 * 1024 * 1024), '143 MB');
+  assert.equal(formatBytes(3 * 1024 * 1024 * 1024), '3.0 GB');
+});
+
+test('describeProcess - summarizes what is known', () => {
+  const proc = { user: 'alice', uptime: 65000, rss: 143 * 1024 * 1024, cwd: join(homedir(), 'app') };
+  assert.equal(describeProcess(proc), `alice, up 1m 5s, 143 MB, in ${join('~', 'app')}`);
+  assert.equal(describeProcess({ user: '', cmdline: '', cwd: '', rss: null, uptime: null }), '');
+});
+
+test('getProcessInfo - describes the current process', { skip: process.platform === 'win32' }, () => {
+  const info = getProcessInfo(process.pid);
+  assert.notEqual(info.user, '');
+  assert.equal(info.ppid, process.ppid);
+  assert(info.argv.length > 0);
+  assert(info.rss > 0);
+  assert(info.uptime >= 0 && info.uptime < 10 * 60 * 1000);
+  if (process.platform === 'linux') {
+    assert.equal(info.cwd, process.cwd());
+  }
+});
@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, symlinkSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { decodeProcAddress, getSocketsProc, parseProcNetTable } from '../lib/procnet.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+// Build a fake /proc tree: socket tables plus fd symlinks for the given pids
+function createProcRoot(processes) {
+  const root = mkdtempSync(join(tmpdir(), 'portclean-proc-'));
+  mkdirSync(join(root, 'net'));
+  writeFileSync(join(root, 'net', 'tcp'), fixture('proc-net-tcp.txt'));
+  writeFileSync(join(root, 'net', 'tcp6'), fixture('proc-net-tcp6.txt'));
+  writeFileSync(join(root, 'net', 'udp'), fixture('proc-net-udp.txt'));
+
+  for (const { pid, command, inodes } of processes) {
+    mkdirSync(join(root, String(pid), 'fd'), { recursive: true });
+    writeFileSync(join(root, String(pid), 'comm'), `${command}\n`);
+    inodes.forEach((inode, fd) => symlinkSync(`socket:[${inode}]`, join(root, String(pid), 'fd', String(fd))));
+  }
+
+  return root;
+}
+
+test('decodeProcAddress - IPv4', () => {
+  assert.deepEqual(decodeProcAddress('0100007F:0BB8'), { address: '127.0.0.1', port: 3000 });
+  assert.deepEqual(decodeProcAddress('00000000:1F90'), { address: '0.0.0.0', port: 8080 });
+});
+
+test('decodeProcAddress - IPv6', () => {
+  assert.deepEqual(decodeProcAddress('00000000000000000000000001000000:0BB9'), { address: '::1', port: 3001 });
+  assert.deepEqual(decodeProcAddress('00000000000000000000000000000000:0050'), { address: '::', port: 80 });
+});
+
+test('parseProcNetTable - parses state, uid and inode', () => {
+  const sockets = parseProcNetTable(fixture('proc-net-tcp.txt'), 'tcp', 4);
+  assert.equal(sockets.length, 3);
+  assert.deepEqual(sockets[0], {
+    protocol: 'tcp',
+    family: 4,
+    address: '0.0.0.0',
+    port: 3000,
+    state: 'LISTEN',
+    uid: 1000,
+    inode: '41001',
+  });
+  assert.equal(sockets[2].state, 'ESTABLISHED');
+});
+
+test('getSocketsProc - maps listening sockets to pids', { skip: process.platform === 'win32' }, () => {
+  const root = createProcRoot([
+    { pid: 4242, command: 'node', inodes: ['41001', '41003'] },
+    { pid: 4343, command: 'vite', inodes: ['41004'] },
+    { pid: 53, command: 'dnsmasq', inodes: ['41005'] },
+  ]);
+  const owners = (port) =>
+    getSocketsProc(port, { root }).sockets.map(({ pid, command }) => ({ pid, command }));
+
+  try {
+    assert.deepEqual(getSocketsProc(3000, { root }), {
+      sockets: [
+        { protocol: 'tcp', family: 4, address: '0.0.0.0', port: 3000, state: 'LISTEN', pid: 4242, command: 'node' },
+      ],
+      warnings: [],
+      hidden: [],
+      unowned: [],
+    });
+    assert.deepEqual(owners(3001), [{ pid: 4343, command: 'vite' }]);
+    assert.deepEqual(owners(53), [{ pid: 53, command: 'dnsmasq' }]);
+    assert.deepEqual(getSocketsProc(9999, { root }), { sockets: [], warnings: [], hidden: [], unowned: [] });
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('getSocketsProc - warns about sockets it cannot attribute', { skip: process.platform === 'win32' }, () => {
+  const root = createProcRoot([]);
+
+  try {
+    const result = getSocketsProc(8080, { root, elevated: false });
+    assert.deepEqual(result.sockets, []);
+    assert.equal(result.warnings.length, 1);
+    assert(result.warnings[0].includes('port 8080'));
+    assert(result.warnings[0].includes('sudo'));
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('getSocketsProc - returns sockets it cannot attribute as hidden', { skip: process.platform === 'win32' }, () => {
+  const root = createProcRoot([]);
+
+  try {
+    const { sockets, hidden } = getSocketsProc(8080, { root, elevated: false });
+    assert.deepEqual(sockets, []);
+    assert.deepEqual(hidden, [
+      { protocol: 'tcp', family: 4, address: '127.0.0.1', port: 8080, state: 'LISTEN', user: 'root' },
+    ]);
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('getSocketsProc - returns sockets without an owner as unowned for root', { skip: process.platform === 'win32' }, () => {
+  const root = createProcRoot([]);
+
+  try {
+    const { sockets, warnings, hidden, unowned } = getSocketsProc(8080, { root, elevated: true });
+    assert.deepEqual(sockets, []);
+    assert.deepEqual(hidden, []);
+    assert.deepEqual(unowned, [
+      { protocol: 'tcp', family: 4, address: '127.0.0.1', port: 8080, state: 'LISTEN', user: 'root' },
+    ]);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /port 8080 have no owning process in this PID namespace/);
+    assert(!warnings[0].includes('sudo'));
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,181 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildProcessTree,
+  formatProcessTree,
+  killTargets,
+  matchCommand,
+  parseProcessList,
+} from '../lib/proctree.js';
+import { killPorts } from '../index.js';
+import { SERVER_SCRIPT, spawnServer } from './helpers.js';
+
+// init -> sshd -> bash -> npm -> sh -c -> node (holds port) -> esbuild
+//                      -> portclean
+const table = parseProcessList(`
+    1     0 /sbin/init
+  100     1 /usr/sbin/sshd -D
+  200   100 -bash
+  300   200 npm run dev
+  310   300 sh -c node server.js
+  320   310 node server.js
+  330   320 /app/node_modules/esbuild --service
+  400   200 node /usr/bin/portclean 3000
+`);
+
+test('parseProcessList - parses pid, ppid, command and args', () => {
+  assert.deepEqual(table.get(330), {
+    pid: 330,
+    ppid: 320,
+    command: 'esbuild',
+    args: '/app/node_modules/esbuild --service',
+  });
+  assert.equal(table.get(200).command, '-bash');
+});
+
+test('matchCommand - matches paths, .exe suffixes and names cut short by the kernel', () => {
+  const names = new Set(['systemd-resolved', 'docker-proxy', 'sshd']);
+  assert.equal(matchCommand('/usr/sbin/sshd', names), 'sshd');
+  assert.equal(matchCommand('SSHD.EXE', names), 'sshd');
+  assert.equal(matchCommand('systemd-resolve', names), 'systemd-resolved');
+  assert.equal(matchCommand('docker', names), null);
+  assert.equal(matchCommand(undefined, names), null);
+});
+
+test('buildProcessTree - climbs to the owning wrapper and stops at the interactive shell', () => {
+  const { root, killOrder } = buildProcessTree(320, table, new Set([400, 200, 100, 1]));
+  assert.equal(root.pid, 300);
+  assert.deepEqual(
+    killOrder.map((proc) => proc.pid),
+    [330, 320, 310, 300]
+  );
+});
+
+test('buildProcessTree - stops below an editor that runs other processes', () => {
+  // systemd -> code -> node (extension host) -> node vite, next to the editor's renderer
+  const editor = parseProcessList(`
+    1     0 /lib/systemd/systemd
+  100     1 /usr/share/code/code
+  110   100 /usr/share/code/code --type=renderer
+  120   100 /usr/share/code/code --type=utility --utility-sub-type=node.mojom.NodeService
+  130   120 node /app/node_modules/.bin/vite
+  140   120 node /usr/share/code/resources/app/extensions/node_modules/typescript/lib/tsserver.js
+`);
+  const { root, killOrder } = buildProcessTree(130, editor, new Set());
+  assert.equal(root.pid, 130);
+  assert.deepEqual(killOrder, [{ pid: 130, command: 'node' }]);
+});
+
+test('buildProcessTree - stops at a process manager', () => {
+  const pm2 = parseProcessList(`
+    1     0 /lib/systemd/systemd
+  500     1 PM2 v5.3.0: God Daemon (/home/alice/.pm2)
+  510   500 node /srv/api/server.js
+  520   500 node /srv/worker/index.js
+  600     1 PM2 v5.3.0: God Daemon (/home/bob/.pm2)
+  610   600 node /srv/web/server.js
+`);
+  assert.deepEqual(
+    buildProcessTree(510, pm2, new Set()).killOrder.map((proc) => proc.pid),
+    [510]
+  );
+  assert.deepEqual(
+    buildProcessTree(610, pm2, new Set()).killOrder.map((proc) => proc.pid),
+    [610]
+  );
+});
+
+test('buildProcessTree - passes through runtime-launched wrappers and only-child parents', () => {
+  const launched = parseProcessList(`
+    1     0 /sbin/init
+  200     1 -zsh
+  300   200 node /usr/lib/node_modules/npm/bin/npm-cli.js run dev
+  310   300 ./scripts/serve
+  320   310 node server.js
+  330   300 node watcher.js
+  400   200 ./scripts/serve
+  410   400 node server.js
+`);
+  assert.equal(buildProcessTree(320, launched, new Set()).root.pid, 300);
+  // Started straight from the shell, the script is the session's job, not a wrapper to take along
+  assert.equal(buildProcessTree(410, launched, new Set()).root.pid, 410);
+});
+
+test('buildProcessTree - stops below a daemon that forked to run a job', () => {
+  // systemd -> cron -> cron (job fork) -> sh -c -> node
+  const cron = parseProcessList(`
+    1     0 /lib/systemd/systemd
+  500     1 /usr/sbin/cron -f
+  510   500 /usr/sbin/CRON -f
+  520   510 /bin/sh -c node /srv/report/server.js
+  530   520 node /srv/report/server.js
+`);
+  assert.deepEqual(
+    buildProcessTree(530, cron, new Set()).killOrder.map((proc) => proc.pid),
+    [530, 520, 510]
+  );
+
+  const daemon = parseProcessList(`
+    1     0 /lib/systemd/systemd
+  600     1 /usr/sbin/cron -f
+  610   600 node /srv/report/server.js
+`);
+  assert.equal(buildProcessTree(610, daemon, new Set()).root.pid, 610);
+});
+
+test('buildProcessTree - never includes protected processes', () => {
+  const { killOrder } = buildProcessTree(320, table, new Set([300]));
+  assert.deepEqual(
+    killOrder.map((proc) => proc.pid),
+    [330, 320, 310]
+  );
+});
+
+test('buildProcessTree - handles a PID missing from the table', () => {
+  const { root, killOrder } = buildProcessTree(999, table, new Set());
+  assert.equal(root.pid, 999);
+  assert.deepEqual(killOrder, [{ pid: 999, command: 'unknown' }]);
+});
+
+test('killTargets - merges trees bottom-up and marks extra members', () => {
+  const tree = buildProcessTree(320, table, new Set([200]));
+  const targets = killTargets([{ pid: 320, command: 'node', tree }, { pid: 330, command: 'esbuild' }]);
+  assert.deepEqual(targets, [
+    { pid: 330, command: 'esbuild' },
+    { pid: 320, command: 'node' },
+    { pid: 310, command: 'sh', via: 'tree' },
+    { pid: 300, command: 'npm', via: 'tree' },
+  ]);
+});
+
+test('formatProcessTree - draws the tree and marks port owners', () => {
+  const { root } = buildProcessTree(320, table, new Set([200]));
+  assert.deepEqual(formatProcessTree(root, new Set([320])), [
+    'npm (300)',
+    '└─ sh (310)',
+    '   └─ node (320) ← holds port',
+    '      └─ esbuild (330)',
+  ]);
+});
+
+test('killPorts - tree option kills the parent wrapper too', { skip: process.platform === 'win32' }, async () => {
+  const script = `
+    const { spawn } = require('child_process');
+    spawn(process.execPath, ['-e', ${JSON.stringify(SERVER_SCRIPT)}], { stdio: ['ignore', 'inherit', 'ignore'] });
+    setInterval(() => {}, 1000);
+  `;
+  const { child: wrapper, port } = await spawnServer({ script });
+  const exited = new Promise((resolve) => wrapper.once('exit', resolve));
+
+  try {
+    const [entry] = await killPorts(port, { tree: true, timeout: 1000 });
+    const wrapperResult = entry.results.find((result) => result.pid === wrapper.pid);
+    assert(wrapperResult, 'expected the wrapper to be part of the tree');
+    assert.equal(wrapperResult.via, 'tree');
+    assert.equal(wrapperResult.killed, true);
+    assert(entry.results.every((result) => result.killed));
+    await exited;
+  } finally {
+    wrapper.kill('SIGKILL');
+  }
+});
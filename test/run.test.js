@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { quoteForCmd, runCommand, windowsSpawn } from '../lib/run.js';
+
+test('runCommand - resolves to the exit code', async () => {
+  assert.equal(await runCommand([process.execPath, '-e', 'process.exit(0)']), 0);
+  assert.equal(await runCommand([process.execPath, '-e', 'process.exit(5)']), 5);
+});
+
+test('runCommand - a signal becomes 128 plus its number', { skip: process.platform === 'win32' }, async () => {
+  assert.equal(await runCommand([process.execPath, '-e', "process.kill(process.pid, 'SIGTERM')"]), 143);
+});
+
+test('runCommand - passes signals on to the command', { skip: process.platform === 'win32' }, async () => {
+  const script = "process.on('SIGHUP', () => process.exit(7)); setInterval(() => {}, 1000);";
+  const running = runCommand([process.execPath, '-e', script], { terminal: true });
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  process.emit('SIGHUP', 'SIGHUP');
+  assert.equal(await running, 7);
+  assert.equal(process.listenerCount('SIGHUP'), 0);
+});
+
+test('runCommand - leaves Ctrl+C from a terminal to the command', { skip: process.platform === 'win32' }, async () => {
+  const script = "process.on('SIGINT', () => process.exit(9)); setTimeout(() => process.exit(3), 600);";
+  const running = runCommand([process.execPath, '-e', script], { terminal: true });
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  process.emit('SIGINT', 'SIGINT');
+  assert.equal(await running, 3);
+  assert.equal(process.listenerCount('SIGINT'), 0);
+});
+
+test('runCommand - rejects when the program does not exist', { skip: process.platform === 'win32' }, async () => {
+  await assert.rejects(runCommand(['portclean-no-such-program']), (error) => error.code === 'ENOENT');
+});
+
+test('quoteForCmd - keeps spaces, quotes and cmd.exe metacharacters in one argument', () => {
+  assert.equal(quoteForCmd('C:\\Program Files\\app'), '^"C:\\Program^ Files\\app^"');
+  assert.equal(quoteForCmd('console.log(1)'), '^"console.log^(1^)^"');
+  assert.equal(quoteForCmd('say "hi"'), '^"say^ \\^"hi\\^"^"');
+  assert.equal(quoteForCmd('dir\\'), '^"dir\\\\^"');
+  assert.equal(quoteForCmd('a&b', true), '^^^"a^^^&b^^^"');
+});
+
+test('windowsSpawn - starts programs directly and batch files through cmd.exe', () => {
+  const node = 'C:\\Program Files\\nodejs\\node.exe';
+  assert.deepEqual(windowsSpawn(['node', '-e', 'console.log(1)'], node), {
+    file: node,
+    args: ['-e', 'console.log(1)'],
+    options: {},
+  });
+
+  const { args, options } = windowsSpawn(['npm', 'run', 'dev & x'], 'C:\\nodejs\\npm.cmd');
+  assert.deepEqual(args.slice(0, 3), ['/d', '/s', '/c']);
+  assert.equal(args[3], '"C:\\nodejs\\npm.cmd ^^^"run^^^" ^^^"dev^^^ ^^^&^^^ x^^^""');
+  assert.equal(options.windowsVerbatimArguments, true);
+});
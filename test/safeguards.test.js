@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSafetyPolicy, parseMatcher } from '../lib/safeguards.js';
+
+test('parseMatcher - PIDs, regexes and names', () => {
+  assert.deepEqual(parseMatcher('1234'), { type: 'pid', value: 1234, source: '1234' });
+  assert.equal(parseMatcher('Node.exe').value, 'node');
+  const regex = parseMatcher('/vite|next/i');
+  assert.equal(regex.type, 'regex');
+  assert(regex.value.test('NEXT-server'));
+  assert.throws(() => parseMatcher('/(/'), /Invalid pattern \/\(\//);
+  assert.throws(() => parseMatcher(''), /Invalid pattern/);
+});
+
+test('createSafetyPolicy - protects init, system daemons and portclean itself', () => {
+  const policy = createSafetyPolicy();
+  assert.equal(policy.check({ pid: 1, command: 'node' }).reason, 'protected');
+  assert.equal(policy.check({ pid: 4321, command: 'sshd' }).reason, 'protected');
+  assert.equal(policy.check({ pid: 4321, command: '/usr/bin/dockerd' }).reason, 'protected');
+  // The kernel reports systemd-resolved and systemd-networkd cut to 15 characters
+  assert.equal(policy.check({ pid: 4321, command: 'systemd-resolve' }).reason, 'protected');
+  assert.equal(policy.check({ pid: 4321, command: 'systemd-network' }).reason, 'protected');
+  assert.equal(policy.check({ pid: process.pid, command: 'node' }).reason, 'protected');
+  assert.equal(policy.check({ pid: process.ppid, command: 'bash' }).reason, 'protected');
+  assert(policy.check({ pid: 1, command: 'init' }).message.includes('--allow-protected'));
+  assert.equal(policy.check({ pid: 999999, command: 'node' }), null);
+  assert.equal(policy.check({ pid: 999999, command: 'webpack-dev-ser' }), null);
+
+  const override = createSafetyPolicy({ allowProtected: true });
+  assert.equal(override.check({ pid: 4321, command: 'sshd' }), null);
+});
+
+test('createSafetyPolicy - exclude and only', () => {
+  const policy = createSafetyPolicy({ exclude: ['postgres', '999998', '/^redis/'] });
+  assert.equal(policy.check({ pid: 999999, command: 'postgres' }).reason, 'excluded');
+  assert.equal(policy.check({ pid: 999998, command: 'node' }).reason, 'excluded');
+  assert.equal(policy.check({ pid: 999999, command: 'redis-server' }).reason, 'excluded');
+  assert.equal(policy.check({ pid: 999999, command: 'node' }), null);
+
+  const only = createSafetyPolicy({ only: '/vite/' });
+  assert.equal(only.check({ pid: 999999, command: 'vite' }), null);
+  assert.equal(only.check({ pid: 999999, command: 'python3' }).reason, 'not-matched');
+
+  // --exclude wins over --only, and protection wins over both
+  const both = createSafetyPolicy({ only: 'node', exclude: '999999' });
+  assert.equal(both.check({ pid: 999999, command: 'node' }).reason, 'excluded');
+  assert.equal(createSafetyPolicy({ only: 'sshd' }).check({ pid: 4321, command: 'sshd' }).reason, 'protected');
+});
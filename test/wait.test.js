@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'net';
+import { isBindBlocked, waitForPortFree } from '../lib/wait.js';
+import { spawnServer } from './helpers.js';
+
+test('isBindBlocked - detects a port held by another socket', async () => {
+  const server = createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  assert.equal(await isBindBlocked(port, '127.0.0.1'), true);
+  await new Promise((resolve) => server.close(resolve));
+  assert.equal(await isBindBlocked(port, '127.0.0.1'), false);
+});
+
+test('waitForPortFree - gives up while the port is still held', async () => {
+  const { child, port } = await spawnServer();
+
+  try {
+    const result = await waitForPortFree(port, { timeout: 300, interval: 50 });
+    assert.equal(result.released, false);
+    assert(result.elapsed >= 300);
+    assert(result.processes.some((proc) => proc.pid === child.pid));
+  } finally {
+    child.kill('SIGKILL');
+  }
+});
+
+test('waitForPortFree - confirms release once the occupant exits', async () => {
+  const { child, port } = await spawnServer();
+  child.kill('SIGKILL');
+
+  const result = await waitForPortFree(port, { timeout: 3000, interval: 50, bind: true, host: '127.0.0.1' });
+  assert.equal(result.released, true);
+  assert.deepEqual(result.processes, []);
+  assert.equal(result.bindBlocked, false);
+});